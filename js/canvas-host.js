@@ -0,0 +1,154 @@
+// Loader for "canvas" projects: ES modules mounted straight into the gallery page, without an
+// iframe. A project of type "canvas" points its manifest path at a module such as
+// projects/simulations/flow_field/main.js.
+//
+// Module contract
+// ---------------
+//   export function mount(container, context)   Required. Build the project inside `container`
+//                                               (an empty, sized <div>). May return a promise.
+//                                               Modules are imported once per page, so mount()
+//                                               must reset any module-level state.
+//   export function unmount()                   Required. Undo everything mount() did.
+//   export function resize(width, height)       Optional. The container changed size (CSS pixels).
+//   export function pause()                     Optional. Stop anything not covered by `context`
+//   export function resume()                    Optional. Continue after pause().
+//
+// The host can always pause a module: context.frame loops and context.audio sounds are suspended
+// by the host itself, pause()/resume() are only needed for work the module schedules otherwise.
+//
+// `context` gives the module resources the host cleans up by itself when the project is torn
+// down, so a forgotten timer or sound cannot outlive the page it belongs to:
+//   context.signal                 AbortSignal, aborted on teardown; pass it to addEventListener.
+//   context.frame(callback)        requestAnimationFrame loop calling callback(dt in seconds).
+//                                  Suspended while paused; returns a function that stops it.
+//   context.setTimeout/setInterval Same as window's, cleared on teardown.
+//   context.audio(src)             new Audio(src), paused on pause and on teardown.
+//   context.theme                  Current site theme, 'dark' or 'light'.
+//   context.onTheme(callback)      Called with the new theme on every toggle.
+//   context.width/height           Initial container size.
+
+// Load the module at `url` and mount it into `container`. Resolves to a handle with
+// pause(), resume() and unmount().
+async function mountCanvasProject(url, container) {
+    const module = await import(url);
+
+    const missing = ['mount', 'unmount'].filter(name => typeof module[name] !== 'function');
+    if (missing.length) {
+        throw new Error(`${url} does not export ${missing.join(' and ')}()`);
+    }
+
+    const controller = new AbortController();
+    const timers = new Set();
+    const intervals = new Set();
+    const frames = new Set();
+    const sounds = new Set();
+    let isPaused = false;
+
+    const context = {
+        signal: controller.signal,
+        width: container.clientWidth,
+        height: container.clientHeight,
+        theme: getTheme(),
+        onTheme(callback) {
+            const unsubscribe = onThemeChange(theme => {
+                context.theme = theme;
+                callback(theme);
+            });
+            controller.signal.addEventListener('abort', unsubscribe);
+            return unsubscribe;
+        },
+        frame(callback) {
+            const loop = { id: null, last: null };
+            const tick = (timestamp) => {
+                const dt = loop.last === null ? 0 : (timestamp - loop.last) / 1000;
+                loop.last = timestamp;
+                if (!isPaused) callback(dt);
+                loop.id = requestAnimationFrame(tick);
+            };
+            loop.id = requestAnimationFrame(tick);
+            frames.add(loop);
+            return () => {
+                cancelAnimationFrame(loop.id);
+                frames.delete(loop);
+            };
+        },
+        setTimeout(callback, delay) {
+            const id = setTimeout(() => {
+                timers.delete(id);
+                callback();
+            }, delay);
+            timers.add(id);
+            return id;
+        },
+        setInterval(callback, delay) {
+            const id = setInterval(callback, delay);
+            intervals.add(id);
+            return id;
+        },
+        audio(src) {
+            const sound = new Audio(src);
+            sounds.add(sound);
+            return sound;
+        }
+    };
+
+    // Size changes of the container are forwarded to resize()
+    let resizeObserver = null;
+    if (typeof module.resize === 'function') {
+        resizeObserver = new ResizeObserver(entries => {
+            const { width, height } = entries[0].contentRect;
+            module.resize(width, height);
+        });
+    }
+
+    function teardown() {
+        controller.abort();
+        if (resizeObserver) resizeObserver.disconnect();
+        frames.forEach(loop => cancelAnimationFrame(loop.id));
+        timers.forEach(id => clearTimeout(id));
+        intervals.forEach(id => clearInterval(id));
+        sounds.forEach(sound => {
+            sound.pause();
+            sound.src = '';
+        });
+        frames.clear();
+        timers.clear();
+        intervals.clear();
+        sounds.clear();
+    }
+
+    try {
+        await module.mount(container, context);
+    } catch (error) {
+        teardown();
+        throw error;
+    }
+
+    if (resizeObserver) resizeObserver.observe(container);
+
+    let isMounted = true;
+
+    return {
+        pause() {
+            if (!isMounted || isPaused) return;
+            isPaused = true;
+            sounds.forEach(sound => sound.pause());
+            if (typeof module.pause === 'function') module.pause();
+        },
+        resume() {
+            if (!isMounted || !isPaused) return;
+            isPaused = false;
+            if (typeof module.resume === 'function') module.resume();
+        },
+        unmount() {
+            if (!isMounted) return;
+            isMounted = false;
+            try {
+                module.unmount();
+            } finally {
+                teardown();
+                container.innerHTML = '';
+            }
+        }
+    };
+}
@@ -0,0 +1,139 @@
+// Project catalog loading and validation for the Vibe Code gallery.
+// The manifest lives in vibe-code/projects.json and follows vibe-code/projects.schema.json.
+
+const CATALOG_CATEGORIES = ['games', 'simulations', 'utilities'];
+const CATALOG_TYPES = ['iframe', 'canvas'];
+const CATALOG_FIELDS = [
+    'id', 'title', 'description', 'thumbnail', 'category', 'tags', 'date', 'path', 'type', 'instructions',
+    // Optional extras for the detail page
+    'longDescription', 'screenshots', 'controls', 'techStack', 'history'
+];
+
+class CatalogError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}:\n- ${problems.join('\n- ')}` : message);
+        this.name = 'CatalogError';
+        this.problems = problems;
+    }
+}
+
+// Check a single manifest entry and return a list of human readable problems (empty when valid)
+function validateProjectEntry(entry, index) {
+    const label = entry && typeof entry.id === 'string' ? `"${entry.id}"` : `#${index}`;
+    const problems = [];
+
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+        return [`project ${label} must be an object`];
+    }
+
+    const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+    const isProjectPath = value => typeof value === 'string' && /^projects\/\S+$/.test(value);
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    const isObjectWith = (value, keys) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.keys(value).length === keys.length && keys.every(key => isNonEmptyString(value[key]));
+
+    if (!isNonEmptyString(entry.id) || !/^[a-z0-9_]+$/.test(entry.id)) {
+        problems.push(`project ${label}: "id" must be lowercase letters, digits or underscores`);
+    }
+    if (!isNonEmptyString(entry.title)) {
+        problems.push(`project ${label}: "title" is required`);
+    }
+    if (typeof entry.description !== 'string') {
+        problems.push(`project ${label}: "description" must be a string (may be empty)`);
+    }
+    if (!CATALOG_CATEGORIES.includes(entry.category)) {
+        problems.push(`project ${label}: "category" must be one of ${CATALOG_CATEGORIES.join(', ')}`);
+    }
+    if (!Array.isArray(entry.tags) || !entry.tags.every(isNonEmptyString)) {
+        problems.push(`project ${label}: "tags" must be an array of non-empty strings`);
+    } else if (new Set(entry.tags).size !== entry.tags.length) {
+        problems.push(`project ${label}: "tags" contains duplicates`);
+    }
+    if (!isDate(entry.date)) {
+        problems.push(`project ${label}: "date" must be a valid YYYY-MM-DD date`);
+    }
+    if (!isProjectPath(entry.path)) {
+        problems.push(`project ${label}: "path" must be relative to vibe-code/ and start with "projects/"`);
+    }
+    if (entry.thumbnail !== undefined && !isProjectPath(entry.thumbnail)) {
+        problems.push(`project ${label}: "thumbnail" must be relative to vibe-code/ and start with "projects/"`);
+    }
+    if (entry.type !== undefined && !CATALOG_TYPES.includes(entry.type)) {
+        problems.push(`project ${label}: "type" must be one of ${CATALOG_TYPES.join(', ')}`);
+    }
+    if (entry.type === 'canvas' && typeof entry.path === 'string' && !entry.path.endsWith('.js')) {
+        problems.push(`project ${label}: canvas projects must point "path" at a JavaScript module`);
+    }
+    if (entry.longDescription !== undefined && typeof entry.longDescription !== 'string') {
+        problems.push(`project ${label}: "longDescription" must be a string`);
+    }
+    if (entry.screenshots !== undefined && (!Array.isArray(entry.screenshots) || !entry.screenshots.every(isProjectPath))) {
+        problems.push(`project ${label}: "screenshots" must be paths relative to vibe-code/ starting with "projects/"`);
+    }
+    if (entry.controls !== undefined && (!Array.isArray(entry.controls) || !entry.controls.every(control => isObjectWith(control, ['input', 'action'])))) {
+        problems.push(`project ${label}: "controls" must be a list of { "input", "action" } strings`);
+    }
+    if (entry.techStack !== undefined && (!Array.isArray(entry.techStack) || !entry.techStack.every(isNonEmptyString))) {
+        problems.push(`project ${label}: "techStack" must be an array of non-empty strings`);
+    }
+    if (entry.history !== undefined && (!Array.isArray(entry.history) ||
+        !entry.history.every(change => isObjectWith(change, ['date', 'note']) && isDate(change.date)))) {
+        problems.push(`project ${label}: "history" must be a list of { "date": "YYYY-MM-DD", "note" } entries`);
+    }
+
+    Object.keys(entry)
+        .filter(key => !CATALOG_FIELDS.includes(key))
+        .forEach(key => problems.push(`project ${label}: unknown field "${key}"`));
+
+    return problems;
+}
+
+// Validate a parsed manifest and return its projects, throwing a CatalogError listing every problem found
+function validateProjectCatalog(manifest) {
+    if (manifest === null || typeof manifest !== 'object' || !Array.isArray(manifest.projects)) {
+        throw new CatalogError('Project catalog must be an object with a "projects" array');
+    }
+
+    const problems = [];
+    const seenIds = new Map();
+
+    manifest.projects.forEach((entry, index) => {
+        problems.push(...validateProjectEntry(entry, index));
+
+        if (entry && typeof entry.id === 'string') {
+            if (seenIds.has(entry.id)) {
+                problems.push(`duplicate id "${entry.id}" (entries #${seenIds.get(entry.id)} and #${index})`);
+            } else {
+                seenIds.set(entry.id, index);
+            }
+        }
+    });
+
+    if (problems.length) {
+        throw new CatalogError('Invalid project catalog', problems);
+    }
+
+    return manifest.projects;
+}
+
+// Fetch and validate the manifest
+async function loadProjectCatalog(url = 'projects.json') {
+    let response;
+    try {
+        response = await fetch(url, { cache: 'no-cache' });
+    } catch (error) {
+        throw new CatalogError(`Could not fetch project catalog from ${url} (${error.message})`);
+    }
+    if (!response.ok) {
+        throw new CatalogError(`Could not fetch project catalog from ${url} (HTTP ${response.status})`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new CatalogError(`Project catalog at ${url} is not valid JSON (${error.message})`);
+    }
+
+    return validateProjectCatalog(manifest);
+}
@@ -0,0 +1,204 @@
+// Command palette for the Vibe Code gallery, opened with Ctrl+K (Cmd+K on macOS).
+// Commands are plain objects { title, group, keywords?, run() } supplied by the page each time
+// the palette opens, so they always reflect the current view. Filtering reuses the typo tolerant
+// term matching from js/search.js.
+
+const PALETTE_TITLE_WEIGHT = 2;
+const PALETTE_KEYWORD_WEIGHT = 1;
+
+function isCommandPaletteShortcut(event) {
+    return (event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey && event.key.toLowerCase() === 'k';
+}
+
+// Filter and rank commands for a query. Every term has to match the title or the keywords.
+// Returns [{ command, titleRanges }], in the given order when the query is empty.
+function rankCommands(commands, query) {
+    const terms = tokenizeForSearch(query).map(token => token.word);
+    if (terms.length === 0) {
+        return commands.map(command => ({ command, titleRanges: [] }));
+    }
+
+    const results = [];
+    commands.forEach((command, index) => {
+        const titleTokens = tokenizeForSearch(command.title);
+        const keywordTokens = tokenizeForSearch(`${command.group} ${command.keywords || ''}`);
+        const titleRanges = [];
+        let score = 0;
+
+        const matchesAll = terms.every(term => {
+            const titleMatch = matchTermInTokens(term, titleTokens);
+            const keywordMatch = matchTermInTokens(term, keywordTokens);
+            if (!titleMatch && !keywordMatch) return false;
+
+            if (titleMatch) {
+                titleRanges.push([titleMatch.start, titleMatch.end]);
+            }
+            score += Math.max(
+                titleMatch ? titleMatch.score * PALETTE_TITLE_WEIGHT : 0,
+                keywordMatch ? keywordMatch.score * PALETTE_KEYWORD_WEIGHT : 0
+            );
+            return true;
+        });
+
+        if (matchesAll) {
+            results.push({ command, titleRanges, score, index });
+        }
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ command, titleRanges }) => ({ command, titleRanges }));
+}
+
+// Build the palette and add it to the page. `getCommands()` is called every time it opens.
+// Returns { open(), close(), toggle(), isOpen() }.
+function createCommandPalette(getCommands) {
+    const backdrop = document.createElement('div');
+    backdrop.classList.add('command-palette-backdrop');
+    backdrop.hidden = true;
+    backdrop.innerHTML = `
+        <div class="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+            <input type="text" class="command-palette-input" placeholder="Type a command or project name…"
+                role="combobox" aria-expanded="true" aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off">
+            <ul class="command-palette-list" id="command-palette-list" role="listbox"></ul>
+            <div class="command-palette-hint">
+                <span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span>
+                <span><kbd>Enter</kbd> to run</span>
+                <span><kbd>Esc</kbd> to close</span>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(backdrop);
+
+    const input = backdrop.querySelector('.command-palette-input');
+    const list = backdrop.querySelector('.command-palette-list');
+
+    let commands = [];
+    let results = [];
+    let activeIndex = 0;
+    let previousFocus = null;
+
+    function render() {
+        results = rankCommands(commands, input.value);
+        activeIndex = Math.min(activeIndex, Math.max(results.length - 1, 0));
+
+        list.innerHTML = results.length
+            ? results.map(({ command, titleRanges }, index) => `
+                <li role="option" id="command-palette-option-${index}" data-index="${index}"
+                    class="command-palette-option${index === activeIndex ? ' active' : ''}" aria-selected="${index === activeIndex}">
+                    <span class="command-palette-title">${highlightText(command.title, titleRanges)}</span>
+                    <span class="command-palette-group">${escapeHtml(command.group)}</span>
+                </li>
+            `).join('')
+            : '<li class="command-palette-empty">No matching commands</li>';
+
+        input.setAttribute('aria-activedescendant', results.length ? `command-palette-option-${activeIndex}` : '');
+    }
+
+    function setActive(index) {
+        if (results.length === 0) return;
+        activeIndex = (index + results.length) % results.length;
+        list.querySelectorAll('.command-palette-option').forEach(option => {
+            const isActive = Number(option.dataset.index) === activeIndex;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) option.scrollIntoView({ block: 'nearest' });
+        });
+        input.setAttribute('aria-activedescendant', `command-palette-option-${activeIndex}`);
+    }
+
+    function runCommand(index) {
+        const result = results[index];
+        if (!result) return;
+        close({ restoreFocus: false });
+        result.command.run();
+    }
+
+    function open() {
+        if (isOpen()) return;
+        previousFocus = document.activeElement;
+        commands = getCommands();
+        input.value = '';
+        activeIndex = 0;
+        render();
+        backdrop.hidden = false;
+        input.focus();
+    }
+
+    function close(options = {}) {
+        if (!isOpen()) return;
+        backdrop.hidden = true;
+        if (options.restoreFocus !== false && previousFocus && previousFocus.isConnected) {
+            previousFocus.focus();
+        }
+        previousFocus = null;
+    }
+
+    function isOpen() {
+        return !backdrop.hidden;
+    }
+
+    input.addEventListener('input', () => {
+        activeIndex = 0;
+        render();
+    });
+
+    input.addEventListener('keydown', (event) => {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                setActive(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                setActive(activeIndex - 1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                runCommand(activeIndex);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                close();
+                break;
+            case 'Tab':
+                // Keep focus inside the dialog
+                event.preventDefault();
+                break;
+        }
+    });
+
+    list.addEventListener('click', (event) => {
+        const option = event.target.closest('[data-index]');
+        if (option) {
+            runCommand(Number(option.dataset.index));
+        }
+    });
+
+    list.addEventListener('mousemove', (event) => {
+        const option = event.target.closest('[data-index]');
+        if (option && Number(option.dataset.index) !== activeIndex) {
+            setActive(Number(option.dataset.index));
+        }
+    });
+
+    // Clicking outside the dialog closes it
+    backdrop.addEventListener('mousedown', (event) => {
+        if (event.target === backdrop) {
+            close();
+        }
+    });
+
+    return {
+        open,
+        close,
+        toggle() {
+            if (isOpen()) {
+                close();
+            } else {
+                open();
+            }
+        },
+        isOpen
+    };
+}
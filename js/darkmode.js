@@ -1,36 +1,69 @@
-document.addEventListener('DOMContentLoaded', function() {
+// Site-wide dark/light theme.
+// The choice is stored as `theme` in localStorage; pages and embedded projects follow it through
+// getTheme()/onThemeChange() here, or VibeBridge.onTheme() in js/project-bridge.js.
+
+const themeListeners = [];
+
+// Current theme: saved preference, falling back to the system preference
+function getTheme() {
+    const savedTheme = localStorage.getItem('theme');
+    if (savedTheme === 'dark' || savedTheme === 'light') {
+        return savedTheme;
+    }
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+// Apply a theme to the page, update the toggle button and notify subscribers
+function applyTheme(theme) {
+    document.body.classList.toggle('dark-mode', theme === 'dark');
+    document.body.classList.toggle('light-mode', theme === 'light');
+
+    const themeToggle = document.getElementById('theme-toggle');
+    if (themeToggle) {
+        themeToggle.innerHTML = theme === 'dark' ? '☀️' : '🌙';
+    }
+
+    themeListeners.forEach(listener => listener(theme));
+}
+
+// Persist and apply a theme
+function setTheme(theme) {
+    localStorage.setItem('theme', theme);
+    applyTheme(theme);
+}
+
+function toggleTheme() {
+    setTheme(document.body.classList.contains('dark-mode') ? 'light' : 'dark');
+}
+
+// Call `listener(theme)` whenever the theme changes. Returns an unsubscribe function.
+function onThemeChange(listener) {
+    themeListeners.push(listener);
+    return () => {
+        const index = themeListeners.indexOf(listener);
+        if (index > -1) themeListeners.splice(index, 1);
+    };
+}
+
+// Wire the #theme-toggle button; called again whenever the navbar is rebuilt
+function initDarkModeToggle() {
     const themeToggle = document.getElementById('theme-toggle');
-    const prefersDarkScheme = window.matchMedia('(prefers-color-scheme: dark)');
-    
+
     if (!themeToggle) return; // Exit if no theme toggle button found
-    
-    // Check for saved theme preference or use the system preference
-    const currentTheme = localStorage.getItem('theme') || 
-                        (prefersDarkScheme.matches ? 'dark' : 'light');
-    
+
+    themeToggle.innerHTML = document.body.classList.contains('dark-mode') ? '☀️' : '🌙';
+    themeToggle.addEventListener('click', toggleTheme);
+}
+
+document.addEventListener('DOMContentLoaded', function() {
     // Set initial theme
-    if (currentTheme === 'dark') {
-        document.body.classList.add('dark-mode');
-        document.body.classList.remove('light-mode');
-        themeToggle.innerHTML = '☀️';
-    } else {
-        document.body.classList.add('light-mode');
-        document.body.classList.remove('dark-mode');
-        themeToggle.innerHTML = '🌙';
-    }
-    
-    // Theme toggle click handler
-    themeToggle.addEventListener('click', function() {
-        if (document.body.classList.contains('dark-mode')) {
-            document.body.classList.remove('dark-mode');
-            document.body.classList.add('light-mode');
-            themeToggle.innerHTML = '🌙';
-            localStorage.setItem('theme', 'light');
-        } else {
-            document.body.classList.remove('light-mode');
-            document.body.classList.add('dark-mode');
-            themeToggle.innerHTML = '☀️';
-            localStorage.setItem('theme', 'dark');
+    applyTheme(getTheme());
+    initDarkModeToggle();
+
+    // Follow theme changes made in other tabs
+    window.addEventListener('storage', function(event) {
+        if (event.key === 'theme' && (event.newValue === 'dark' || event.newValue === 'light')) {
+            applyTheme(event.newValue);
         }
     });
 });
@@ -0,0 +1,54 @@
+// Gallery side of the Vibe Code host bridge.
+// The message protocol is documented in js/project-bridge.js, which embedded projects include.
+
+const BRIDGE_CHANNEL = 'vibe-code';
+const BRIDGE_VERSION = 1;
+
+// Permissions for embedded projects. Scripts, forms, dialogs, downloads and pointer lock are
+// needed by the games and utilities; navigating the gallery itself is not allowed.
+//
+// allow-same-origin is a deliberate trade-off. Together with allow-scripts it lets a framed page
+// on this origin reach into its parent and lift its own sandbox, so the sandbox is no security
+// boundary: it stops accidents (top navigation, stray popups without a click), not hostile code.
+// That is acceptable only because every project is first-party code from this repository. What
+// the origin buys: localStorage (Moon Lander high scores, Craft Note boards, saved Bayesian
+// optimization problems), the same-origin checks of the bridge messages, and offline use, since
+// the service worker does not control opaque-origin frames. Third-party projects must not be
+// embedded with these permissions; they need a separate origin and storage through the bridge.
+const PROJECT_SANDBOX = 'allow-scripts allow-same-origin allow-forms allow-modals allow-popups allow-downloads allow-pointer-lock';
+const PROJECT_ALLOW = 'fullscreen; autoplay; clipboard-write';
+
+// Listen to messages from the project in `iframe`. `handlers` maps message types to callbacks,
+// e.g. { ready(payload) {}, highscore(payload) {} }. Returns { send(type, payload), disconnect() }.
+function connectProjectBridge(iframe, handlers = {}) {
+    const origin = window.location.origin;
+
+    function onMessage(event) {
+        if (event.source !== iframe.contentWindow || event.origin !== origin) return;
+
+        const message = event.data;
+        if (!message || message.channel !== BRIDGE_CHANNEL || typeof message.type !== 'string') return;
+
+        if (message.version !== BRIDGE_VERSION) {
+            console.warn(`Project bridge: ignoring "${message.type}" with unsupported version ${message.version}`);
+            return;
+        }
+
+        const handler = handlers[message.type];
+        if (handler) {
+            handler(message.payload || {});
+        }
+    }
+
+    window.addEventListener('message', onMessage);
+
+    return {
+        send(type, payload = {}) {
+            if (!iframe.contentWindow) return;
+            iframe.contentWindow.postMessage({ channel: BRIDGE_CHANNEL, version: BRIDGE_VERSION, type, payload }, origin);
+        },
+        disconnect() {
+            window.removeEventListener('message', onMessage);
+        }
+    };
+}
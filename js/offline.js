@@ -0,0 +1,81 @@
+// Offline support: registers the service worker (sw.js at the site root) and gives the gallery
+// read/remove access to what it has cached. Cache names must match those in sw.js.
+
+const OFFLINE_SHELL_CACHE = 'shell-v3';
+const OFFLINE_VENDOR_CACHE = 'vendor-v1';
+const OFFLINE_PROJECT_CACHE_PREFIX = 'project-';
+
+// Resolved now, while document.currentScript still points at this script
+const OFFLINE_WORKER_URL = document.currentScript && document.currentScript.src
+    ? new URL('../sw.js', document.currentScript.src).href
+    : null;
+
+function isOfflineSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window && OFFLINE_WORKER_URL !== null;
+}
+
+// The service worker caches a project's files under the name of its folder
+// (vibe-code/projects/<category>/<folder>/...), which is also its catalog id
+function getProjectCacheName(project) {
+    const folder = project.path.split('/')[2];
+    return OFFLINE_PROJECT_CACHE_PREFIX + folder;
+}
+
+// True once the project's entry page (or module) has been cached, i.e. it was opened before
+async function isProjectAvailableOffline(project) {
+    if (!isOfflineSupported()) return false;
+
+    const cacheName = getProjectCacheName(project);
+    if (!(await caches.has(cacheName))) return false;
+
+    const cache = await caches.open(cacheName);
+    const entryUrl = new URL(`vibe-code/${project.path}`, OFFLINE_WORKER_URL);
+    return Boolean(await cache.match(entryUrl.href, { ignoreSearch: true }));
+}
+
+// List the caches managed by the service worker with their entry count and approximate size.
+// Cross-origin files without CORS report no size, so vendor totals are a lower bound.
+async function getOfflineCacheSummary() {
+    if (!isOfflineSupported()) return [];
+
+    const names = (await caches.keys()).filter(name =>
+        name === OFFLINE_SHELL_CACHE || name === OFFLINE_VENDOR_CACHE || name.startsWith(OFFLINE_PROJECT_CACHE_PREFIX));
+
+    return Promise.all(names.map(async name => {
+        const cache = await caches.open(name);
+        const requests = await cache.keys();
+        let bytes = 0;
+
+        for (const request of requests) {
+            const response = await cache.match(request);
+            if (response && response.type !== 'opaque') {
+                bytes += (await response.blob()).size;
+            }
+        }
+
+        return { name, entries: requests.length, bytes };
+    }));
+}
+
+function removeOfflineCache(name) {
+    return caches.delete(name);
+}
+
+// Remove everything the service worker stored; the shell is cached again on the next visit
+async function clearOfflineData() {
+    const summary = await getOfflineCacheSummary();
+    await Promise.all(summary.map(entry => caches.delete(entry.name)));
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+if (isOfflineSupported()) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(OFFLINE_WORKER_URL)
+            .catch(error => console.warn('Offline support unavailable:', error));
+    });
+}
@@ -0,0 +1,183 @@
+// Project side of the Vibe Code host bridge.
+//
+// Projects shown in the gallery run in a sandboxed iframe (see loadIframeProject in js/projects.js).
+// Including this script lets a project talk to the gallery through window.postMessage:
+//
+//     <script src="../../../../js/project-bridge.js"></script>
+//     VibeBridge.ready({ title: 'Moon Lander', capabilities: ['pause'] });
+//     VibeBridge.on('pause', () => game.pause());
+//
+// The script does nothing harmful when the page is opened on its own: messages are only sent
+// when the page is embedded, and handlers simply never fire.
+//
+// Theme
+// -----
+// The site theme ('dark' or 'light') is mirrored on <html data-theme="..."> as soon as this
+// script runs, so project CSS can style both palettes with [data-theme="light"] selectors.
+// It is read from the site's saved preference at load and updated whenever the gallery's toggle
+// is used (or, for a page opened on its own, when the theme changes in another tab).
+// VibeBridge.onTheme(theme => ...) calls back immediately and on every change.
+//
+// Share links
+// -----------
+// A gallery link like ?project=<id>&seed=7 opens the project's page with ?seed=7. While embedded,
+// VibeBridge.shareUrl({ seed: 7 }) builds such a link; opened on its own, a link to the page.
+//
+// Protocol
+// --------
+// Every message is an object { channel: 'vibe-code', version: 1, type, payload } sent to the
+// same origin. Messages with another channel or from any window other than the parent (or the
+// embedded project, on the host side) are ignored.
+//
+// Project -> host
+//   ready       { title?, capabilities?: ['pause'] }   Project finished loading. Capabilities tell
+//                                                      the host which commands it may send.
+//   title       { title }                              Replace the title shown in the nav bar.
+//   status      { text }                               Short live status next to the title
+//                                                      ("Level 3", "Training…"); empty clears it.
+//   error       { message }                            Something went wrong. Uncaught errors are
+//                                                      reported automatically.
+//   fullscreen  { enabled }                            Ask the host to enter or leave fullscreen.
+//   highscore   { score, label? }                      New best score; the host keeps the highest.
+//   commandPalette {}                                  Ctrl/Cmd+K was pressed inside the project;
+//                                                      sent automatically so the gallery's command
+//                                                      palette opens even while the project has focus.
+//
+// Host -> project
+//   pause       {}                                     Stop simulating (tab hidden, user request).
+//   resume      {}                                     Continue after a pause.
+//   theme       { theme: 'dark' | 'light' }            The site theme, sent after ready and on
+//                                                      every toggle.
+//   location    { url }                                The gallery's address of the project
+//                                                      (?project=<id>), sent after ready. Query
+//                                                      parameters added to it are passed on to the
+//                                                      project's page; see VibeBridge.shareUrl().
+
+(function() {
+    const CHANNEL = 'vibe-code';
+    const VERSION = 1;
+
+    const isEmbedded = window.parent !== window;
+    const handlers = {};
+    const themeListeners = [];
+    let hostUrl = null; // The gallery's address of this project, once the host has sent it
+
+    // Same preference js/darkmode.js uses for the site
+    function readSavedTheme() {
+        try {
+            const savedTheme = localStorage.getItem('theme');
+            if (savedTheme === 'dark' || savedTheme === 'light') return savedTheme;
+        } catch (error) {
+            // Storage can be unavailable (privacy settings); fall through to the system preference
+        }
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    let currentTheme = null;
+
+    function applyTheme(theme) {
+        if (theme !== 'dark' && theme !== 'light') return;
+        if (theme === currentTheme) return;
+
+        currentTheme = theme;
+        document.documentElement.dataset.theme = theme;
+        document.documentElement.style.colorScheme = theme;
+        themeListeners.forEach(listener => listener(theme));
+    }
+
+    applyTheme(readSavedTheme());
+
+    function send(type, payload = {}) {
+        if (!isEmbedded) return;
+        window.parent.postMessage({ channel: CHANNEL, version: VERSION, type, payload }, window.location.origin);
+    }
+
+    // Theme commands from the host are handled here before any project handler sees them
+    (handlers.theme = []).push(payload => applyTheme(payload.theme));
+    (handlers.location = []).push(payload => {
+        if (typeof payload.url === 'string') hostUrl = payload.url;
+    });
+
+    window.addEventListener('storage', (event) => {
+        if (event.key === 'theme') applyTheme(event.newValue);
+    });
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window.parent || event.origin !== window.location.origin) return;
+
+        const message = event.data;
+        if (!message || message.channel !== CHANNEL || typeof message.type !== 'string') return;
+
+        (handlers[message.type] || []).forEach(handler => {
+            try {
+                handler(message.payload || {});
+            } catch (error) {
+                send('error', { message: `Handler for "${message.type}" failed: ${error.message}` });
+            }
+        });
+    });
+
+    // Keyboard focus stays inside the iframe, so hand the gallery's palette shortcut to the host
+    window.addEventListener('keydown', (event) => {
+        if (isEmbedded && (event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            send('commandPalette');
+        }
+    });
+
+    // Report uncaught errors so the host can show them instead of a silently broken iframe
+    window.addEventListener('error', (event) => {
+        send('error', { message: event.message || 'Unknown error' });
+    });
+    window.addEventListener('unhandledrejection', (event) => {
+        const reason = event.reason;
+        send('error', { message: reason && reason.message ? reason.message : String(reason) });
+    });
+
+    window.VibeBridge = {
+        isEmbedded,
+        ready(options = {}) {
+            send('ready', { title: options.title, capabilities: options.capabilities || [] });
+        },
+        setTitle(title) {
+            send('title', { title: String(title) });
+        },
+        setStatus(text) {
+            send('status', { text: text ? String(text) : '' });
+        },
+        reportError(error) {
+            send('error', { message: error && error.message ? error.message : String(error) });
+        },
+        requestFullscreen(enabled = true) {
+            send('fullscreen', { enabled: Boolean(enabled) });
+        },
+        reportHighScore(score, label) {
+            send('highscore', { score: Number(score), label });
+        },
+        get theme() {
+            return currentTheme;
+        },
+        // Link to this page with the given query parameters (an object or URLSearchParams): through
+        // the gallery while embedded, so it opens with the nav bar and theme, else to the page itself
+        shareUrl(params = {}) {
+            const url = new URL(hostUrl || window.location.href);
+            if (!hostUrl) url.search = '';
+            new URLSearchParams(params).forEach((value, key) => url.searchParams.append(key, value));
+            return url.href;
+        },
+        onTheme(listener) {
+            themeListeners.push(listener);
+            listener(currentTheme);
+            return () => {
+                const index = themeListeners.indexOf(listener);
+                if (index > -1) themeListeners.splice(index, 1);
+            };
+        },
+        on(type, handler) {
+            (handlers[type] = handlers[type] || []).push(handler);
+            return () => {
+                handlers[type] = handlers[type].filter(existing => existing !== handler);
+            };
+        }
+    };
+})();
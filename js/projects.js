@@ -1,94 +1,19 @@
 document.addEventListener('DOMContentLoaded', function() {
-    // Sample projects data (this would typically come from a JSON file or API)
-    const projects = [
-        {
-            id: "cosmo_lab",
-            title: "Cosmo Lab",
-            description: "An interactive simulation of particle interactions and physics.",
-            thumbnail: "../vibe-code/projects/simulations/cosmo_lab/thumbnail.jpg",
-            category: "simulations",
-            tags: ["photons","physics","javascript","planets"],
-            date: "2025-04-26",
-            path: "projects/simulations/cosmo_lab/index.html",
-            type: "iframe" 
-        },
-
-        {
-            id: "moon_lander",
-            title: "Moon Lander",
-            description: "A game where you control a lunar module and try to land safely on the moon.",
-            thumbnail: "../vibe-code/projects/games/moon_lander/thumbnail.jpg",
-            category: "games",
-            tags: ["space", "physics", "javascript"],
-            date: "2024-05-20",
-            path: "projects/games/moon_lander/moon_lander.html",
-            type: "iframe" // Explicitly set to load in iframe
-        },
-
-        {
-            id: "craft_note",
-            title: "Craft Note",
-            description: "",
-            thumbnail: "../vibe-code/projects/utilities/craft_note/thumbnail.jpg",
-            category: "utilities",
-            tags: ["sticky notes", "productivity", "javascript", "utilities","note-taking","to-do", "to do"],
-            date: "2025-07-17",
-            path: "projects/utilities/craft_note/index.html",
-            type: "iframe" // Explicitly set to load in iframe
-        },
-
-        {
-            id: "hdr_enhance",
-            title: "HDR Enhance",
-            description: "Enhance your images with simulated High Dynamic Range (HDR) processing.",
-            thumbnail: "../vibe-code/projects/utilities/hdr_enhance/thumbnail.jpg",
-            category: "utilities",
-            tags: ["image processing", "hdr", "javascript"],
-            date: "2025-06-29",
-            path: "projects/utilities/hdr_enhance/index.html",
-            type: "iframe" // Explicitly set to load in iframe
-        },
-
-        {
-            id: "random_password_generator",
-            title: "Random Password Generator",
-            description: "Generate secure random passwords with customizable options.",
-            thumbnail: "../vibe-code/projects/utilities/random_password_generator/thumbnail.jpg",
-            category: "utilities",
-            tags: ["security", "passwords", "javascript"],
-            date: "2025-05-03",
-            path: "projects/utilities/random_password_generator/index.html",
-            type: "iframe" // Explicitly set to load in iframe
-        },
-
-
-        {
-            id: "stick_balance",
-            title: "Stick Balance",
-            description: "Physics simulation of balancing a stick with reinforcement learning.",
-            thumbnail: "../vibe-code/projects/simulations/stick_balance/thumbnail.jpg",
-            category: "simulations",
-            tags: ["physics", "balance", "reinforcement learning"],
-            date: "2025-01-10",
-            path: "projects/simulations/stick_balance/index.html",
-            type: "iframe"
-        },
-
-        {
-            id: "bayesian_optimization",
-            title: "Bayesian Optimization (Interactive)",
-            description: "Don't know Bayesian Optimization? Learn it by brewing coffee!",
-            thumbnail: "../vibe-code/projects/simulations/bayesian_optimization/thumbnail.jpg",
-            category: "simulations",
-            tags: ["bayesian optimization", "machine learning", "interactive","coffee","optimization"],
-            date: "2025-07-23",
-            path: "projects/simulations/bayesian_optimization/index.html",
-            type: "iframe"
-        },
-
-
-
-    ];
+    // Project catalog, loaded from vibe-code/projects.json (see js/catalog.js)
+    let projects = [];
+
+    // Tags the gallery is currently filtered by, combined with AND ('all') or OR ('any')
+    let selectedTags = [];
+    let tagMatchMode = 'all';
+
+    // Whether the sort was picked rather than left at the default; searches are ranked by
+    // relevance until it is (see activeSort)
+    let sortChosen = false;
+
+    // Defaults are left out of the URL so an unfiltered gallery keeps a clean address
+    const DEFAULT_CATEGORY = 'all';
+    const DEFAULT_SORT = 'newest';
+    const DEFAULT_TAG_MATCH = 'all';
 
     const projectsContainer = document.getElementById('projects-container');
     const searchInput = document.getElementById('search-input');
@@ -97,6 +22,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const applyFiltersBtn = document.getElementById('apply-filters');
     const activeFilters = document.getElementById('active-filters');
     const searchContainer = document.querySelector('.search-container');
+    const tagCloud = document.getElementById('tag-cloud');
+    const offlineToggle = document.getElementById('offline-toggle');
+    const offlinePanel = document.getElementById('offline-panel');
     
     // Store the original navbar content to restore it later
     const navbar = document.querySelector('.navbar');
@@ -105,9 +33,35 @@ document.addEventListener('DOMContentLoaded', function() {
     // Flag to track if a game/simulation is active
     let isInteractiveContentActive = false;
 
+    // postMessage bridge to the embedded project (see js/host-bridge.js)
+    let activeBridge = null;
+
+    // Mounted canvas module (see js/canvas-host.js)
+    let activeCanvasProject = null;
+
+    // Project shown on the detail page, null in the gallery and while a project runs
+    let detailsProjectId = null;
+
+    // Keep the embedded project on the site theme
+    onThemeChange(theme => {
+        if (activeBridge) {
+            activeBridge.send('theme', { theme });
+        }
+    });
+
     // Function to toggle interactive mode
     function setInteractiveMode(enabled, projectTitle = null) {
         const mainContent = document.getElementById('main-content');
+
+        // Tear down the previous project, also when moving between projects with back/forward
+        if (activeBridge) {
+            activeBridge.disconnect();
+            activeBridge = null;
+        }
+        if (activeCanvasProject) {
+            activeCanvasProject.unmount();
+            activeCanvasProject = null;
+        }
         
         if (enabled) {
             // Save original navbar HTML if we haven't already
@@ -122,7 +76,12 @@ document.addEventListener('DOMContentLoaded', function() {
                     <i class="fas fa-arrow-left"></i> Back
                 </button>
                 <div class="project-title-container">
-                    <span class="project-title">${projectTitle || 'Interactive Project'}</span>
+                    <span class="project-title">${escapeHtml(projectTitle || 'Interactive Project')}</span>
+                    <span class="project-status" id="project-status"></span>
+                    <span class="project-highscore" id="project-highscore" hidden></span>
+                    <button id="project-pause-button" class="nav-back-button project-pause-button" hidden>
+                        <i class="fas fa-pause"></i> Pause
+                    </button>
                 </div>
                 <button id="theme-toggle" aria-label="Toggle dark mode">
                     🌙
@@ -159,31 +118,48 @@ document.addEventListener('DOMContentLoaded', function() {
         isInteractiveContentActive = enabled;
     }
 
-    // Check if we need to load a specific project
-    const urlParams = new URLSearchParams(window.location.search);
-    const projectId = urlParams.get('project');
+    // Load the catalog, then check if we need to load a specific project
+    loadProjectCatalog()
+        .then(catalog => {
+            projects = catalog;
 
-    if (projectId) {
-        loadProject(projectId);
-    } else {
-        displayProjects(projects);
-    }
+            const urlParams = new URLSearchParams(window.location.search);
+            const projectId = urlParams.get('project');
+            const detailsId = urlParams.get('details');
+
+            if (projectId) {
+                loadProject(projectId);
+            } else if (detailsId) {
+                showProjectDetails(detailsId);
+            } else if (readFiltersFromUrl()) {
+                applyFilters({ updateUrl: false });
+            } else {
+                displayProjects(projects);
+                renderTagCloud(projects);
+            }
+        })
+        .catch(showCatalogError);
 
     // Event listeners - Auto-trigger search and filters
     searchInput.addEventListener('input', applyFilters);
     categoryFilter.addEventListener('change', applyFilters);
-    sortOptions.addEventListener('change', applyFilters);
+    sortOptions.addEventListener('change', (event) => {
+        sortChosen = true;
+        applyFilters(event);
+    });
     
     // Keep the manual apply button as well for explicit filtering
     applyFiltersBtn.addEventListener('click', applyFilters);
     
     // Function to display projects as cards
-    function displayProjects(projectsArray) {
+    // searchMatches optionally maps project id -> search highlights (see js/search.js)
+    function displayProjects(projectsArray, searchMatches = null) {
         // Show search container when viewing project list
         searchContainer.style.display = 'block';
         
         // Reset interactive mode when viewing projects list
         setInteractiveMode(false);
+        detailsProjectId = null;
         
         projectsContainer.innerHTML = '';
         
@@ -205,12 +181,31 @@ document.addEventListener('DOMContentLoaded', function() {
             
             // Add projects in this category
             groupedProjects[category].forEach(project => {
-                const card = createProjectCard(project);
+                const card = createProjectCard(project, searchMatches && searchMatches.get(project.id));
                 categoryGrid.appendChild(card);
             });
         }
     }
     
+    // Function to show why the catalog could not be loaded
+    function showCatalogError(error) {
+        console.error(error);
+        projectsContainer.innerHTML = '';
+
+        const message = document.createElement('div');
+        message.classList.add('catalog-error');
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'The project catalog could not be loaded';
+        message.appendChild(heading);
+
+        const details = document.createElement('pre');
+        details.textContent = error.message;
+        message.appendChild(details);
+
+        projectsContainer.appendChild(message);
+    }
+    
     // Function to group projects by category
     function groupByCategory(projects) {
         return projects.reduce((acc, project) => {
@@ -223,38 +218,363 @@ document.addEventListener('DOMContentLoaded', function() {
         }, {});
     }
     
+    // Icons for cards without a thumbnail
+    const categoryIcons = {
+        games: 'gamepad',
+        simulations: 'atom',
+        utilities: 'screwdriver-wrench'
+    };
+
     // Function to create a project card
-    function createProjectCard(project) {
+    function createProjectCard(project, highlights = null) {
         const card = document.createElement('div');
         card.classList.add('card');
+        card.tabIndex = 0; // Reachable with Tab and the arrow keys (see onCardKeydown)
+        card.setAttribute('aria-label', project.title);
         card.innerHTML = `
             <div class="card-image">
-                <img src="${project.thumbnail}" alt="${project.title}">
+                ${project.thumbnail
+                    ? `<img src="../vibe-code/${project.thumbnail}" alt="${escapeHtml(project.title)}">`
+                    : `<div class="card-image-placeholder"><i class="fas fa-${categoryIcons[project.category] || 'cube'}"></i></div>`}
+                <button type="button" class="card-launch" data-launch title="Launch ${escapeHtml(project.title)}" aria-label="Launch ${escapeHtml(project.title)}">
+                    <i class="fas fa-play"></i>
+                </button>
             </div>
             <div class="card-content">
-                <h3 class="card-title">${project.title}</h3>
-                <p class="card-description">${project.description}</p>
+                <h3 class="card-title">${highlightText(project.title, highlights ? highlights.title : [])}</h3>
+                <p class="card-description">${highlightText(project.description, highlights ? highlights.description : [])}</p>
                 <div class="card-tags">
-                    ${project.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                    ${project.tags.map((tag, index) => `<button type="button" class="tag${selectedTags.includes(tag) ? ' selected' : ''}" data-tag="${escapeHtml(tag)}" title="Filter by ${escapeHtml(tag)}">${highlightText(tag, highlights ? highlights.tags[index] : [])}</button>`).join('')}
                 </div>
             </div>
         `;
         
-        // Add click event to open the project
-        card.addEventListener('click', () => {
-            window.location.href = `?project=${project.id}`;
+        card.dataset.projectId = project.id;
+
+        // Mark projects that were opened before and can run without a connection (see js/offline.js)
+        isProjectAvailableOffline(project).then(available => {
+            if (available) {
+                card.querySelector('.card-image').appendChild(createOfflineBadge());
+            }
+        }).catch(() => {});
+        
+        card.addEventListener('keydown', onCardKeydown);
+
+        // Add click event to open the project's details, launch it directly, or filter by a tag
+        card.addEventListener('click', (event) => {
+            const tagButton = event.target.closest('[data-tag]');
+            if (tagButton) {
+                toggleTag(tagButton.dataset.tag);
+                return;
+            }
+            if (event.target.closest('[data-launch]')) {
+                window.location.href = `?project=${project.id}`;
+                return;
+            }
+            window.location.href = `?details=${project.id}`;
         });
         
         return card;
     }
     
+    // Function to move focus between cards with the arrow keys, following the visual grid
+    // (which spans several category grids), and to open the focused card with Enter or Space
+    function onCardKeydown(event) {
+        const card = event.currentTarget;
+        if (event.target !== card || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            card.click();
+            return;
+        }
+
+        const cards = Array.from(card.closest('.projects-container, .project-details').querySelectorAll('.card'));
+        const index = cards.indexOf(card);
+        let next = null;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+                next = cards[index - 1];
+                break;
+            case 'ArrowRight':
+                next = cards[index + 1];
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                next = findCardInNextRow(card, cards, event.key === 'ArrowDown' ? 1 : -1);
+                break;
+            case 'Home':
+                next = cards[0];
+                break;
+            case 'End':
+                next = cards[cards.length - 1];
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        if (next) {
+            next.focus();
+        }
+    }
+
+    // Function to find the card in the row above (-1) or below (1) that is horizontally closest
+    function findCardInNextRow(card, cards, direction) {
+        const rect = card.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+
+        const candidates = cards
+            .filter(other => other !== card)
+            .map(other => ({ card: other, rect: other.getBoundingClientRect() }))
+            .filter(other => direction > 0 ? other.rect.top >= rect.bottom - 1 : other.rect.bottom <= rect.top + 1);
+        if (candidates.length === 0) return null;
+
+        // The nearest row first, then the closest card within it
+        const rowTop = direction > 0
+            ? Math.min(...candidates.map(other => other.rect.top))
+            : Math.max(...candidates.map(other => other.rect.top));
+        return candidates
+            .filter(other => Math.abs(other.rect.top - rowTop) < 1)
+            .reduce((best, other) => {
+                const distance = Math.abs(other.rect.left + other.rect.width / 2 - centerX);
+                return !best || distance < best.distance ? { card: other.card, distance } : best;
+            }, null).card;
+    }
+
+    // Function to create the "available offline" card badge
+    function createOfflineBadge() {
+        const badge = document.createElement('span');
+        badge.classList.add('offline-badge');
+        badge.title = 'Available offline';
+        badge.innerHTML = '<i class="fas fa-circle-check"></i> Offline';
+        return badge;
+    }
+
+    // Function to list what the service worker has cached, with buttons to remove it
+    async function renderOfflinePanel() {
+        if (!isOfflineSupported()) {
+            offlinePanel.innerHTML = '<p class="offline-panel-note">This browser does not support offline use.</p>';
+            return;
+        }
+
+        const summary = await getOfflineCacheSummary();
+        const labelFor = entry => {
+            if (entry.name === OFFLINE_SHELL_CACHE) return 'Site pages and scripts';
+            if (entry.name === OFFLINE_VENDOR_CACHE) return 'Shared libraries and fonts';
+            const project = projects.find(p => getProjectCacheName(p) === entry.name);
+            return project ? project.title : entry.name.slice(OFFLINE_PROJECT_CACHE_PREFIX.length);
+        };
+        const order = entry => entry.name === OFFLINE_SHELL_CACHE ? 0 : entry.name === OFFLINE_VENDOR_CACHE ? 1 : 2;
+        summary.sort((a, b) => order(a) - order(b) || labelFor(a).localeCompare(labelFor(b)));
+
+        let usage = '';
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage = `Using ${formatBytes(estimate.usage || 0)} of ${formatBytes(estimate.quota || 0)} available.`;
+        }
+
+        offlinePanel.innerHTML = `
+            <div class="offline-panel-header">
+                <span>Offline storage</span>
+                <button type="button" class="offline-clear-all"${summary.length ? '' : ' disabled'}>Clear all</button>
+            </div>
+            <p class="offline-panel-note">Projects are saved for offline use the first time you open them. ${usage}</p>
+            ${summary.length ? `
+                <ul class="offline-cache-list">
+                    ${summary.map(entry => `
+                        <li>
+                            <span class="offline-cache-name">${escapeHtml(labelFor(entry))}</span>
+                            <span class="offline-cache-size">${entry.entries} file${entry.entries === 1 ? '' : 's'}, ${formatBytes(entry.bytes)}</span>
+                            <button type="button" class="offline-cache-remove" data-cache="${escapeHtml(entry.name)}" title="Remove from offline storage">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="offline-panel-note">Nothing is stored yet.</p>'}
+        `;
+    }
+
+    // Function to drop the offline badge from cards whose files were removed (all cards when no name is given)
+    function removeOfflineBadges(cacheName = null) {
+        projectsContainer.querySelectorAll('.card').forEach(card => {
+            const project = projects.find(p => p.id === card.dataset.projectId);
+            if (cacheName === null || (project && getProjectCacheName(project) === cacheName)) {
+                card.querySelectorAll('.offline-badge').forEach(badge => badge.remove());
+            }
+        });
+    }
+
+    offlineToggle.addEventListener('click', () => {
+        offlinePanel.hidden = !offlinePanel.hidden;
+        offlineToggle.setAttribute('aria-expanded', String(!offlinePanel.hidden));
+        if (!offlinePanel.hidden) {
+            renderOfflinePanel().catch(error => console.error(error));
+        }
+    });
+
+    offlinePanel.addEventListener('click', (event) => {
+        const removeButton = event.target.closest('[data-cache]');
+        const clearButton = event.target.closest('.offline-clear-all');
+        let removal = null;
+
+        if (removeButton) {
+            const cacheName = removeButton.dataset.cache;
+            removal = removeOfflineCache(cacheName).then(() => removeOfflineBadges(cacheName));
+        } else if (clearButton) {
+            removal = clearOfflineData().then(() => removeOfflineBadges());
+        }
+
+        if (removal) {
+            removal
+                .then(renderOfflinePanel)
+                .catch(error => console.error(error));
+        }
+    });
+    
+    // Function to format a catalog date (YYYY-MM-DD) for display
+    function formatProjectDate(date) {
+        return new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    // Function to find the projects sharing the most tags with a project (Jaccard similarity), newest first on ties
+    function findRelatedProjects(project, limit = 3) {
+        return projects
+            .filter(other => other.id !== project.id)
+            .map(other => {
+                const shared = other.tags.filter(tag => project.tags.includes(tag)).length;
+                const union = new Set([...project.tags, ...other.tags]).size;
+                return { project: other, similarity: union ? shared / union : 0 };
+            })
+            .filter(entry => entry.similarity > 0)
+            .sort((a, b) => b.similarity - a.similarity || new Date(b.project.date) - new Date(a.project.date))
+            .slice(0, limit)
+            .map(entry => entry.project);
+    }
+
+    // Function to show a project's detail page (?details=<id>) with a button to launch it
+    function showProjectDetails(projectId) {
+        const project = projects.find(p => p.id === projectId);
+
+        if (!project) {
+            window.location.href = 'index.html';
+            return;
+        }
+
+        searchContainer.style.display = 'none';
+        setInteractiveMode(false);
+        detailsProjectId = project.id;
+        projectsContainer.innerHTML = '';
+
+        const paragraphs = (project.longDescription || project.description)
+            .split(/\n\s*\n/)
+            .filter(paragraph => paragraph.trim() !== '');
+        const history = [{ date: project.date, note: 'First published' }, ...(project.history || [])]
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const related = findRelatedProjects(project);
+
+        const details = document.createElement('article');
+        details.classList.add('project-details');
+        details.innerHTML = `
+            <a href="index.html" class="project-details-back"><i class="fas fa-arrow-left"></i> All projects</a>
+            <header class="project-details-header">
+                <div class="project-details-image">
+                    ${project.thumbnail
+                        ? `<img src="../vibe-code/${project.thumbnail}" alt="${escapeHtml(project.title)}">`
+                        : `<div class="card-image-placeholder"><i class="fas fa-${categoryIcons[project.category] || 'cube'}"></i></div>`}
+                </div>
+                <div class="project-details-summary">
+                    <span class="project-details-category">${escapeHtml(project.category)}</span>
+                    <h1>${escapeHtml(project.title)}</h1>
+                    <p class="project-details-date">Published ${formatProjectDate(project.date)}</p>
+                    <div class="card-tags">
+                        ${project.tags.map(tag => `<a class="tag" href="index.html?tag=${encodeURIComponent(tag)}">${escapeHtml(tag)}</a>`).join('')}
+                    </div>
+                    <button type="button" class="project-details-launch"><i class="fas fa-play"></i> Launch</button>
+                </div>
+            </header>
+            <section class="project-details-section">
+                <h2>About</h2>
+                ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('') || '<p>No description yet.</p>'}
+            </section>
+            ${project.screenshots && project.screenshots.length ? `
+                <section class="project-details-section">
+                    <h2>Screenshots</h2>
+                    <div class="project-details-screenshots">
+                        ${project.screenshots.map((screenshot, index) => `
+                            <a href="../vibe-code/${screenshot}" target="_blank" rel="noopener">
+                                <img src="../vibe-code/${screenshot}" alt="${escapeHtml(project.title)} screenshot ${index + 1}" loading="lazy">
+                            </a>
+                        `).join('')}
+                    </div>
+                </section>
+            ` : ''}
+            ${project.controls && project.controls.length ? `
+                <section class="project-details-section">
+                    <h2>Controls</h2>
+                    <table class="project-details-controls">
+                        ${project.controls.map(control => `
+                            <tr><th scope="row"><kbd>${escapeHtml(control.input)}</kbd></th><td>${escapeHtml(control.action)}</td></tr>
+                        `).join('')}
+                    </table>
+                </section>
+            ` : ''}
+            ${project.techStack && project.techStack.length ? `
+                <section class="project-details-section">
+                    <h2>Built with</h2>
+                    <ul class="project-details-stack">
+                        ${project.techStack.map(tech => `<li>${escapeHtml(tech)}</li>`).join('')}
+                    </ul>
+                </section>
+            ` : ''}
+            <section class="project-details-section">
+                <h2>History</h2>
+                <ol class="project-details-history">
+                    ${history.map(change => `
+                        <li><time datetime="${escapeHtml(change.date)}">${formatProjectDate(change.date)}</time> ${escapeHtml(change.note)}</li>
+                    `).join('')}
+                </ol>
+            </section>
+            ${related.length ? `
+                <section class="project-details-section">
+                    <h2>Related projects</h2>
+                    <div class="grid project-details-related"></div>
+                </section>
+            ` : ''}
+        `;
+
+        const relatedGrid = details.querySelector('.project-details-related');
+        related.forEach(relatedProject => relatedGrid.appendChild(createProjectCard(relatedProject)));
+
+        details.querySelector('.project-details-launch').addEventListener('click', () => {
+            window.location.href = `?project=${project.id}`;
+        });
+
+        projectsContainer.appendChild(details);
+        document.title = `${project.title} - Vibe Code`;
+    }
+    
+    // Function to read what a link to a project passes on to the project itself: every query
+    // parameter but ?project=, e.g. the settings of a Cosmo Lab share link
+    function projectQuery(projectId) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('project') !== projectId) return '';
+        params.delete('project');
+        return params.toString();
+    }
+
     // Function to load a specific project
     function loadProject(projectId) {
         const project = projects.find(p => p.id === projectId);
         
         if (project) {
+            const query = projectQuery(projectId);
+
             // Hide search container when viewing a project
             searchContainer.style.display = 'none';
+            detailsProjectId = null;
             
             // Clear the main content
             projectsContainer.innerHTML = '';
@@ -278,7 +598,7 @@ document.addEventListener('DOMContentLoaded', function() {
             // Load project based on type
             switch(projectType) {
                 case 'iframe':
-                    loadIframeProject(project, projectFrame);
+                    loadIframeProject(project, projectFrame, query);
                     break;
                 case 'canvas':
                     loadCanvasProject(project, projectFrame);
@@ -298,7 +618,7 @@ document.addEventListener('DOMContentLoaded', function() {
             
             // Update browser history and title
             document.title = `${project.title} - Vibe Code`;
-            history.pushState({projectId: project.id}, '', `?project=${project.id}`);
+            history.pushState({projectId: project.id}, '', `?project=${project.id}${query ? `&${query}` : ''}`);
         } else {
             // Project not found, redirect to projects list
             window.location.href = 'index.html';
@@ -319,8 +639,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
-    // Function to load iframe-based projects
-    function loadIframeProject(project, container) {
+    // Function to load iframe-based projects, with the query string of the link that opened them
+    function loadIframeProject(project, container, query = '') {
         const iframeContainer = document.createElement('div');
         iframeContainer.style.width = '100%';
         iframeContainer.style.height = '100%'; // Take full height of parent
@@ -331,9 +651,11 @@ document.addEventListener('DOMContentLoaded', function() {
         iframeContainer.style.flex = '1'; // Take remaining space
         iframeContainer.classList.add('interactive-container');
         
-        // Create iframe
+        // Create iframe, sandboxed (see PROJECT_SANDBOX in js/host-bridge.js)
         const iframe = document.createElement('iframe');
-        iframe.src = `../vibe-code/${project.path}`;
+        iframe.setAttribute('sandbox', PROJECT_SANDBOX);
+        iframe.setAttribute('allow', PROJECT_ALLOW);
+        iframe.src = `../vibe-code/${project.path}${query ? `?${query}` : ''}`;
         iframe.style.width = '100%';
         iframe.style.height = '100%';
         iframe.style.border = 'none';
@@ -342,14 +664,178 @@ document.addEventListener('DOMContentLoaded', function() {
         
         iframeContainer.appendChild(iframe);
         container.appendChild(iframeContainer);
+
+        setupProjectBridge(project, iframe, iframeContainer);
         
         // Focus handling for keyboard events
         iframe.addEventListener('load', () => {
             setupKeyboardControl(iframe, iframeContainer);
         });
     }
+
+    // Function to read the best scores reported by embedded projects
+    function getHighScores() {
+        try {
+            return JSON.parse(localStorage.getItem('highScores')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Function to connect the host bridge and reflect the project's reports in the nav bar
+    function setupProjectBridge(project, iframe, iframeContainer) {
+        const statusElement = document.getElementById('project-status');
+        const highScoreElement = document.getElementById('project-highscore');
+        const titleElement = navbar.querySelector('.project-title');
+
+        let isReady = false;
+        let removePauseControls = null;
+
+        function setStatus(text, state = '') {
+            statusElement.textContent = text;
+            statusElement.dataset.state = state;
+        }
+
+        function showHighScore(entry) {
+            if (!entry) return;
+            highScoreElement.textContent = `Best: ${entry.score}${entry.label ? ` ${entry.label}` : ''}`;
+            highScoreElement.hidden = false;
+        }
+
+        setStatus('Loading…', 'loading');
+        showHighScore(getHighScores()[project.id]);
+
+        const bridge = connectProjectBridge(iframe, {
+            ready(payload) {
+                isReady = true;
+                setStatus('');
+                if (payload.title) {
+                    titleElement.textContent = payload.title;
+                }
+                const canPause = Array.isArray(payload.capabilities) && payload.capabilities.includes('pause');
+                if (canPause && !removePauseControls) {
+                    removePauseControls = setupPauseControls(
+                        () => bridge.send('pause'),
+                        () => bridge.send('resume')
+                    );
+                }
+                bridge.send('theme', { theme: getTheme() });
+                bridge.send('location', { url: new URL(`?project=${project.id}`, window.location.href).href });
+            },
+            title(payload) {
+                if (typeof payload.title === 'string' && payload.title.trim()) {
+                    titleElement.textContent = payload.title;
+                    document.title = `${payload.title} - Vibe Code`;
+                }
+            },
+            status(payload) {
+                setStatus(typeof payload.text === 'string' ? payload.text : '');
+            },
+            error(payload) {
+                setStatus('Error', 'error');
+                showProjectError(iframeContainer, typeof payload.message === 'string' ? payload.message : 'The project reported an error');
+            },
+            commandPalette() {
+                // Ctrl/Cmd+K pressed while the project had focus
+                commandPalette.open();
+            },
+            fullscreen(payload) {
+                if (payload.enabled === false) {
+                    if (document.fullscreenElement) document.exitFullscreen();
+                } else if (!document.fullscreenElement && iframeContainer.requestFullscreen) {
+                    iframeContainer.requestFullscreen().catch(error => console.warn('Fullscreen request denied:', error));
+                }
+            },
+            highscore(payload) {
+                const score = Number(payload.score);
+                if (!Number.isFinite(score)) return;
+
+                const highScores = getHighScores();
+                const best = highScores[project.id];
+                if (!best || score > best.score) {
+                    highScores[project.id] = { score, label: typeof payload.label === 'string' ? payload.label : '' };
+                    localStorage.setItem('highScores', JSON.stringify(highScores));
+                    showHighScore(highScores[project.id]);
+                }
+            }
+        });
+
+        // Projects without the bridge never report ready; drop the loading state once the page is up
+        iframe.addEventListener('load', () => {
+            if (!isReady) setStatus('');
+        });
+
+        activeBridge = {
+            send: bridge.send,
+            disconnect() {
+                bridge.disconnect();
+                if (removePauseControls) removePauseControls();
+            }
+        };
+    }
+
+    // Function to show the nav bar pause button and pause while the tab is hidden.
+    // Returns a function that removes the controls again.
+    function setupPauseControls(onPause, onResume) {
+        const pauseButton = document.getElementById('project-pause-button');
+        let isPaused = false;
+        let pausedByVisibility = false;
+
+        function setPaused(paused) {
+            isPaused = paused;
+            if (paused) {
+                onPause();
+            } else {
+                onResume();
+            }
+            pauseButton.innerHTML = paused
+                ? '<i class="fas fa-play"></i> Resume'
+                : '<i class="fas fa-pause"></i> Pause';
+        }
+
+        function onPauseClick() {
+            pausedByVisibility = false;
+            setPaused(!isPaused);
+        }
+
+        function onVisibilityChange() {
+            if (document.hidden && !isPaused) {
+                pausedByVisibility = true;
+                setPaused(true);
+            } else if (!document.hidden && pausedByVisibility) {
+                pausedByVisibility = false;
+                setPaused(false);
+            }
+        }
+
+        pauseButton.hidden = false;
+        pauseButton.addEventListener('click', onPauseClick);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        return () => {
+            pauseButton.hidden = true;
+            pauseButton.removeEventListener('click', onPauseClick);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        };
+    }
+
+    // Function to show a dismissable error banner over a running project
+    function showProjectError(container, message) {
+        let banner = container.querySelector('.project-error-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.classList.add('interactive-overlay-control', 'project-error-banner');
+            banner.setAttribute('role', 'alert');
+            banner.addEventListener('click', (event) => {
+                event.stopPropagation();
+                banner.remove();
+            });
+            container.appendChild(banner);
+        }
+        banner.textContent = `⚠ ${message} (click to dismiss)`;
+    }
     
-    // Function to load canvas-based projects
+    // Function to load canvas-based projects: an ES module mounted into the page (see js/canvas-host.js)
     function loadCanvasProject(project, container) {
         // Create game container
         const gameContainer = document.createElement('div');
@@ -363,18 +849,13 @@ document.addEventListener('DOMContentLoaded', function() {
         gameContainer.style.borderRadius = '0'; // Remove border radius to maximize space
         gameContainer.style.flex = '1'; // Take remaining space
         gameContainer.classList.add('interactive-container');
-        
-        // Create canvas for the game
-        const canvas = document.createElement('canvas');
-        canvas.id = project.canvasId || 'game-canvas'; // Use project's canvas ID or default
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight - 35; // Reduced to 35px for ultra-thin navbar
-        canvas.style.backgroundColor = '#000';
-        canvas.style.display = 'block';
-        canvas.style.width = '100%';
-        canvas.style.height = '100%';
-        
-        gameContainer.appendChild(canvas);
+        gameContainer.tabIndex = 0; // Focusable so the module can receive keyboard events
+
+        // The module renders into its own element so error banners survive unmount()
+        const mountPoint = document.createElement('div');
+        mountPoint.style.width = '100%';
+        mountPoint.style.height = '100%';
+        gameContainer.appendChild(mountPoint);
         container.appendChild(gameContainer);
         
         // Add instructions if available
@@ -386,37 +867,42 @@ document.addEventListener('DOMContentLoaded', function() {
             instructions.innerHTML = project.instructions;
             container.appendChild(instructions);
         }
-        
-        // Load the project's JavaScript
-        const script = document.createElement('script');
-        script.src = `../vibe-code/${project.path}`;
-        document.body.appendChild(script);
-        
-        // Set a small timeout to ensure the DOM is fully ready
-        setTimeout(() => {
-            // Force resize canvas to fill container
-            const gameCanvas = document.getElementById(canvas.id);
-            if (gameCanvas) {
-                const containerWidth = gameContainer.clientWidth;
-                const containerHeight = gameContainer.clientHeight;
-                gameCanvas.width = containerWidth;
-                gameCanvas.height = containerHeight;
-            }
-            
-            // Setup keyboard control for canvas games
-            setupKeyboardControl(canvas, gameContainer);
-        }, 100);
-        
-        // Add event listener for window resize to keep canvas sized correctly
-        window.addEventListener('resize', () => {
-            const gameCanvas = document.getElementById(canvas.id);
-            if (gameCanvas) {
-                const containerWidth = gameContainer.clientWidth;
-                const containerHeight = gameContainer.clientHeight;
-                gameCanvas.width = containerWidth;
-                gameCanvas.height = containerHeight;
-            }
-        });
+
+        const statusElement = document.getElementById('project-status');
+        statusElement.textContent = 'Loading…';
+        statusElement.dataset.state = 'loading';
+
+        // Resolve against the page, not this script, since import() is relative to the script
+        const moduleUrl = new URL(`../vibe-code/${project.path}`, window.location.href).href;
+
+        mountCanvasProject(moduleUrl, mountPoint)
+            .then(handle => {
+                statusElement.textContent = '';
+                statusElement.dataset.state = '';
+
+                // The user may have left while the module was loading
+                if (!isInteractiveContentActive || !gameContainer.isConnected) {
+                    handle.unmount();
+                    return;
+                }
+
+                const removePauseControls = setupPauseControls(() => handle.pause(), () => handle.resume());
+
+                activeCanvasProject = {
+                    unmount() {
+                        removePauseControls();
+                        handle.unmount();
+                    }
+                };
+
+                setupKeyboardControl(gameContainer, gameContainer);
+            })
+            .catch(error => {
+                console.error(error);
+                statusElement.textContent = 'Error';
+                statusElement.dataset.state = 'error';
+                showProjectError(gameContainer, `Could not start ${project.title}: ${error.message}`);
+            });
     }
     
     // Function to setup keyboard control and prevent default scrolling
@@ -468,28 +954,100 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
-    // Function to apply filters and sort
-    function applyFilters() {
+    // Function to restore the filter inputs from the query string, returns true if any filter was set
+    function readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+
+        const category = params.get('category');
+        const sort = params.get('sort');
+
+        searchInput.value = params.get('q') || '';
+        categoryFilter.value = category && hasOption(categoryFilter, category) ? category : DEFAULT_CATEGORY;
+        sortOptions.value = sort && hasOption(sortOptions, sort) ? sort : DEFAULT_SORT;
+        sortChosen = sortOptions.value === sort;
+        selectedTags = [...new Set(params.getAll('tag').filter(tag => tag.trim() !== ''))];
+        tagMatchMode = params.get('match') === 'any' ? 'any' : DEFAULT_TAG_MATCH;
+
+        return ['q', 'category', 'sort', 'tag', 'match'].some(key => params.has(key));
+    }
+
+    // Function to serialize the current filters into a query string (without the leading "?")
+    function filtersToQueryString() {
+        const params = new URLSearchParams();
+        const search = searchInput.value.trim();
+
+        if (search) params.set('q', search);
+        if (categoryFilter.value !== DEFAULT_CATEGORY) params.set('category', categoryFilter.value);
+        selectedTags.forEach(tag => params.append('tag', tag));
+        if (selectedTags.length > 1 && tagMatchMode !== DEFAULT_TAG_MATCH) params.set('match', tagMatchMode);
+        // The default sort only needs recording when it was picked over relevance for a search
+        if (sortOptions.value !== DEFAULT_SORT || (search && sortChosen)) params.set('sort', sortOptions.value);
+
+        return params.toString();
+    }
+
+    // Function to reflect the filters in the address bar so the view can be shared
+    function writeFiltersToUrl(replace) {
+        const query = filtersToQueryString();
+        const search = query ? `?${query}` : '';
+
+        if (search === window.location.search) {
+            return;
+        }
+
+        const url = search || window.location.pathname;
+
+        // Typing in the search box replaces the entry instead of adding one per keystroke
+        if (replace) {
+            history.replaceState({ filters: query }, '', url);
+        } else {
+            history.pushState({ filters: query }, '', url);
+        }
+    }
+
+    // The order results are shown in: by relevance while searching, unless a sort was picked
+    function activeSort(searchTerm) {
+        return searchTerm && !sortChosen && sortOptions.value === DEFAULT_SORT ? 'relevance' : sortOptions.value;
+    }
+
+    // Function to apply filters and sort. Accepts an input event or an options object.
+    function applyFilters(options = {}) {
+        const updateUrl = options.updateUrl !== false;
+        const replaceUrl = options.type === 'input';
+
         const searchTerm = searchInput.value.toLowerCase().trim();
         const categoryValue = categoryFilter.value;
-        const sortValue = sortOptions.value;
+        const sortValue = activeSort(searchTerm);
+
+        // Ranked search (js/search.js); results come back in relevance order
+        let searchMatches = null;
+        let candidates = projects;
+        if (searchTerm) {
+            const results = searchProjects(projects, searchTerm);
+            searchMatches = new Map(results.map(result => [result.project.id, result.highlights]));
+            candidates = results.map(result => result.project);
+        }
         
-        // Filter projects
-        let filteredProjects = projects.filter(project => {
-            // Search filter
-            const matchesSearch = !searchTerm || 
-                project.title.toLowerCase().includes(searchTerm) ||
-                project.description.toLowerCase().includes(searchTerm) ||
-                project.tags.some(tag => tag.toLowerCase().includes(searchTerm));
-                
-            // Category filter
-            const matchesCategory = categoryValue === 'all' || project.category === categoryValue;
-            
-            return matchesSearch && matchesCategory;
+        // Category filter
+        const categoryProjects = candidates.filter(project => categoryValue === 'all' || project.category === categoryValue);
+
+        // Tag filter
+        let filteredProjects = categoryProjects.filter(project => {
+            if (selectedTags.length === 0) return true;
+            return tagMatchMode === 'any'
+                ? selectedTags.some(tag => project.tags.includes(tag))
+                : selectedTags.every(tag => project.tags.includes(tag));
         });
         
         // Sort projects
         switch(sortValue) {
+            case 'relevance':
+                // Already in relevance order when searching; otherwise fall back to newest first
+                if (!searchTerm) {
+                    filteredProjects.sort((a, b) => new Date(b.date) - new Date(a.date));
+                }
+                break;
             case 'newest':
                 filteredProjects.sort((a, b) => new Date(b.date) - new Date(a.date));
                 break;
@@ -507,47 +1065,129 @@ document.addEventListener('DOMContentLoaded', function() {
         // Display active filters
         updateActiveFilters(searchTerm, categoryValue, sortValue);
         
-        // Update display
-        displayProjects(filteredProjects);
+        // Update display; tag counts reflect search and category but not the tag selection itself
+        displayProjects(filteredProjects, searchMatches);
+        renderTagCloud(categoryProjects);
+
+        if (updateUrl) {
+            writeFiltersToUrl(replaceUrl);
+        }
     }
     
+    // Function to add or remove a tag from the active filters
+    function toggleTag(tag) {
+        if (selectedTags.includes(tag)) {
+            selectedTags = selectedTags.filter(selected => selected !== tag);
+        } else {
+            selectedTags = [...selectedTags, tag];
+        }
+        applyFilters();
+    }
+
+    // Function to render the tag cloud with per-tag project counts
+    function renderTagCloud(projectsArray) {
+        const counts = new Map();
+        projectsArray.forEach(project => {
+            project.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        // Selected tags stay visible even when the current search leaves no project with them
+        selectedTags.forEach(tag => {
+            if (!counts.has(tag)) counts.set(tag, 0);
+        });
+
+        const sortedTags = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        const maxCount = Math.max(1, ...counts.values());
+
+        tagCloud.innerHTML = `
+            <div class="tag-cloud-header">
+                <span>Tags</span>
+                <div class="tag-match-toggle" role="group" aria-label="Combine selected tags">
+                    <button type="button" data-mode="all" class="${tagMatchMode === 'all' ? 'active' : ''}">Match all</button>
+                    <button type="button" data-mode="any" class="${tagMatchMode === 'any' ? 'active' : ''}">Match any</button>
+                </div>
+            </div>
+            <div class="tag-cloud-tags">
+                ${sortedTags.map(([tag, count]) => `
+                    <button type="button" class="tag tag-facet${selectedTags.includes(tag) ? ' selected' : ''}"
+                        data-tag="${escapeHtml(tag)}" style="font-size: ${(0.8 + 0.4 * count / maxCount).toFixed(2)}rem"
+                        aria-pressed="${selectedTags.includes(tag)}">
+                        ${escapeHtml(tag)} <span class="tag-count">${count}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Tag cloud clicks: toggle facets and switch between AND/OR
+    tagCloud.addEventListener('click', (event) => {
+        const modeButton = event.target.closest('[data-mode]');
+        if (modeButton) {
+            if (tagMatchMode !== modeButton.dataset.mode) {
+                tagMatchMode = modeButton.dataset.mode;
+                applyFilters();
+            }
+            return;
+        }
+
+        const tagButton = event.target.closest('[data-tag]');
+        if (tagButton) {
+            toggleTag(tagButton.dataset.tag);
+        }
+    });
+
+    // Function to create a filter chip; text is set via textContent since it may come from the URL
+    function createFilterChip(label, onRemove) {
+        const chip = document.createElement('div');
+        chip.classList.add('filter-tag');
+        chip.textContent = label;
+
+        if (onRemove) {
+            const remove = document.createElement('span');
+            remove.classList.add('remove');
+            remove.innerHTML = '&times;';
+            remove.addEventListener('click', onRemove);
+            chip.append(' ', remove);
+        }
+
+        return chip;
+    }
+
     // Function to update active filters display
     function updateActiveFilters(search, category, sort) {
         activeFilters.innerHTML = '';
         
         if (search) {
-            const searchTag = document.createElement('div');
-            searchTag.classList.add('filter-tag');
-            searchTag.innerHTML = `Search: ${search} <span class="remove">&times;</span>`;
-            searchTag.querySelector('.remove').addEventListener('click', () => {
+            activeFilters.appendChild(createFilterChip(`Search: ${search}`, () => {
                 searchInput.value = '';
                 applyFilters();
-            });
-            activeFilters.appendChild(searchTag);
+            }));
         }
         
         if (category !== 'all') {
-            const categoryTag = document.createElement('div');
-            categoryTag.classList.add('filter-tag');
-            categoryTag.innerHTML = `Category: ${category} <span class="remove">&times;</span>`;
-            categoryTag.querySelector('.remove').addEventListener('click', () => {
+            activeFilters.appendChild(createFilterChip(`Category: ${category}`, () => {
                 categoryFilter.value = 'all';
                 applyFilters();
-            });
-            activeFilters.appendChild(categoryTag);
+            }));
+        }
+
+        selectedTags.forEach(tag => {
+            activeFilters.appendChild(createFilterChip(`Tag: ${tag}`, () => toggleTag(tag)));
+        });
+
+        if (selectedTags.length > 1) {
+            activeFilters.appendChild(createFilterChip(tagMatchMode === 'any' ? 'Match: any tag' : 'Match: all tags'));
         }
         
         const sortNames = {
+            'relevance': 'Relevance',
             'newest': 'Newest First',
             'oldest': 'Oldest First',
             'az': 'A-Z',
             'za': 'Z-A'
         };
         
-        const sortTag = document.createElement('div');
-        sortTag.classList.add('filter-tag');
-        sortTag.innerHTML = `Sort: ${sortNames[sort]}`;
-        activeFilters.appendChild(sortTag);
+        activeFilters.appendChild(createFilterChip(`Sort: ${sortNames[sort]}`));
     }
     
     // Handle browser back/forward navigation
@@ -556,8 +1196,105 @@ document.addEventListener('DOMContentLoaded', function() {
             loadProject(event.state.projectId);
         } else {
             isInteractiveContentActive = false; // Reset flag when returning to project list
-            displayProjects(projects);
+            if (readFiltersFromUrl()) {
+                applyFilters({ updateUrl: false });
+            } else {
+                activeFilters.innerHTML = '';
+                displayProjects(projects);
+                renderTagCloud(projects);
+            }
             document.title = 'Vibe Code - Projects Gallery';
         }
     });
+
+    // Function to change a gallery filter from the command palette. Outside the gallery this
+    // goes back to it with just that filter set.
+    function setGalleryFilter(select, value, param, defaultValue) {
+        if (!isInteractiveContentActive && detailsProjectId === null) {
+            select.value = value;
+            if (select === sortOptions) sortChosen = true;
+            applyFilters();
+        } else {
+            window.location.href = value === defaultValue ? 'index.html' : `index.html?${param}=${encodeURIComponent(value)}`;
+        }
+    }
+
+    // Function to list the command palette's commands for the current view
+    function getPaletteCommands() {
+        const commands = [];
+        const inGallery = !isInteractiveContentActive && detailsProjectId === null;
+
+        if (!inGallery) {
+            commands.push({
+                title: 'Back to all projects',
+                group: 'Navigation',
+                keywords: 'gallery return exit close home',
+                run: () => { window.location.href = 'index.html'; }
+            });
+        } else {
+            commands.push({
+                title: 'Search projects',
+                group: 'Navigation',
+                keywords: 'find filter',
+                run: () => searchInput.focus()
+            });
+        }
+
+        if (isInteractiveContentActive) {
+            const current = projects.find(project => project.id === new URLSearchParams(window.location.search).get('project'));
+            if (current) {
+                commands.push({
+                    title: `About ${current.title}`,
+                    group: 'Navigation',
+                    keywords: 'details info controls',
+                    run: () => { window.location.href = `?details=${current.id}`; }
+                });
+            }
+        }
+
+        projects.forEach(project => {
+            commands.push({
+                title: project.title,
+                group: 'Open project',
+                keywords: `${project.category} ${project.tags.join(' ')}`,
+                run: () => { window.location.href = `?project=${project.id}`; }
+            });
+        });
+
+        Array.from(categoryFilter.options).forEach(option => {
+            commands.push({
+                title: `Category: ${option.text}`,
+                group: 'Filter',
+                keywords: `show category ${option.value}`,
+                run: () => setGalleryFilter(categoryFilter, option.value, 'category', DEFAULT_CATEGORY)
+            });
+        });
+
+        Array.from(sortOptions.options).forEach(option => {
+            commands.push({
+                title: `Sort: ${option.text}`,
+                group: 'Sort',
+                keywords: `order ${option.value}`,
+                run: () => setGalleryFilter(sortOptions, option.value, 'sort', DEFAULT_SORT)
+            });
+        });
+
+        commands.push({
+            title: getTheme() === 'dark' ? 'Switch to light theme' : 'Switch to dark theme',
+            group: 'Theme',
+            keywords: 'toggle dark light mode',
+            run: toggleTheme
+        });
+
+        return commands;
+    }
+
+    const commandPalette = createCommandPalette(getPaletteCommands);
+
+    document.addEventListener('keydown', (event) => {
+        if (isCommandPaletteShortcut(event)) {
+            event.preventDefault();
+            commandPalette.toggle();
+        }
+    });
 });
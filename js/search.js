@@ -0,0 +1,210 @@
+// Ranked, typo tolerant search over the Vibe Code project catalog.
+// Each query term is matched against the words of a project's title, tags and description.
+// A project matches when every term matches somewhere; its score is the sum of the weighted
+// per-field matches, so "physics" found in both the title and the tags outranks a tag-only hit.
+
+const SEARCH_FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    description: 1
+};
+
+// Match quality per kind, before the field weight is applied
+const SEARCH_MATCH_SCORES = {
+    exact: 1.0,
+    prefix: 0.8,
+    substring: 0.6,
+    fuzzy: 0.5
+};
+
+// Split text into lowercase words, remembering where each one starts in the original string
+function tokenizeForSearch(text) {
+    const words = [];
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return words;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+// Gives up early and returns maxDistance + 1 once the distance is known to exceed maxDistance.
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Short terms must be spelled right, longer ones may have one or two typos
+function allowedTypos(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+}
+
+// Best match of a single query term against a single word, or null
+function matchTerm(term, token) {
+    const word = token.word;
+
+    if (word === term) {
+        return { score: SEARCH_MATCH_SCORES.exact, start: token.start, end: token.end };
+    }
+    if (word.startsWith(term)) {
+        return { score: SEARCH_MATCH_SCORES.prefix, start: token.start, end: token.start + term.length };
+    }
+    if (term.length >= 3) {
+        const index = word.indexOf(term);
+        if (index > 0) {
+            return { score: SEARCH_MATCH_SCORES.substring, start: token.start + index, end: token.start + index + term.length };
+        }
+    }
+
+    const maxTypos = allowedTypos(term);
+    if (maxTypos === 0) return null;
+
+    // Compare against the whole word, and against its prefixes of about the term's length so a
+    // half-typed, misspelled "baysi" still finds "bayesian"
+    const candidates = [word];
+    for (let length = term.length - maxTypos; length <= term.length + maxTypos; length++) {
+        if (length > 0 && length < word.length) {
+            candidates.push(word.slice(0, length));
+        }
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const distance = editDistance(term, candidate, maxTypos);
+        if (distance <= maxTypos) {
+            const score = SEARCH_MATCH_SCORES.fuzzy * (1 - distance / (term.length + 1));
+            if (!best || score > best.score) {
+                best = { score, start: token.start, end: token.start + (candidate === word ? word.length : candidate.length) };
+            }
+        }
+    });
+    return best;
+}
+
+// Best match of a term across a list of tokens
+function matchTermInTokens(term, tokens) {
+    let best = null;
+    tokens.forEach(token => {
+        const match = matchTerm(term, token);
+        if (match && (!best || match.score > best.score)) {
+            best = match;
+        }
+    });
+    return best;
+}
+
+// Score a project against a query. Returns null when the project does not match, otherwise
+// { score, highlights: { title: [[start, end]], description: [...], tags: { <tag index>: [...] } } }
+function scoreProject(project, query) {
+    const terms = tokenizeForSearch(query).map(token => token.word);
+    if (terms.length === 0) return null;
+
+    const titleTokens = tokenizeForSearch(project.title);
+    const descriptionTokens = tokenizeForSearch(project.description);
+    const tagTokens = project.tags.map(tokenizeForSearch);
+
+    const highlights = { title: [], description: [], tags: {} };
+    let score = 0;
+
+    for (const term of terms) {
+        let termScore = 0;
+
+        const titleMatch = matchTermInTokens(term, titleTokens);
+        if (titleMatch) {
+            termScore += titleMatch.score * SEARCH_FIELD_WEIGHTS.title;
+            highlights.title.push([titleMatch.start, titleMatch.end]);
+        }
+
+        // Only the best tag counts towards the score, but every matching tag is highlighted
+        let bestTagScore = 0;
+        tagTokens.forEach((tokens, tagIndex) => {
+            const match = matchTermInTokens(term, tokens);
+            if (match) {
+                bestTagScore = Math.max(bestTagScore, match.score);
+                (highlights.tags[tagIndex] = highlights.tags[tagIndex] || []).push([match.start, match.end]);
+            }
+        });
+        termScore += bestTagScore * SEARCH_FIELD_WEIGHTS.tags;
+
+        const descriptionMatch = matchTermInTokens(term, descriptionTokens);
+        if (descriptionMatch) {
+            termScore += descriptionMatch.score * SEARCH_FIELD_WEIGHTS.description;
+            highlights.description.push([descriptionMatch.start, descriptionMatch.end]);
+        }
+
+        // Every term has to be found somewhere
+        if (termScore === 0) return null;
+        score += termScore;
+    }
+
+    return { score, highlights };
+}
+
+// Search a list of projects, returning [{ project, score, highlights }] in descending score order
+function searchProjects(projects, query) {
+    return projects
+        .map(project => ({ project, result: scoreProject(project, query) }))
+        .filter(entry => entry.result !== null)
+        .map(entry => ({ project: entry.project, score: entry.result.score, highlights: entry.result.highlights }))
+        .sort((a, b) => b.score - a.score);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Escape text and wrap the given [start, end] ranges in <mark> elements
+function highlightText(text, ranges = []) {
+    if (!ranges.length) return escapeHtml(text);
+
+    // Merge overlapping ranges so marks never nest
+    const merged = [];
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start));
+        html += `<mark class="search-highlight">${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    html += escapeHtml(text.slice(position));
+
+    return html;
+}
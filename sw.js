@@ -0,0 +1,159 @@
+// Service worker: keeps the portfolio usable without a connection.
+//
+// - The site shell (pages, css/, js/, the project catalog) is precached on install.
+// - Files under vibe-code/projects/<category>/<id>/ are cached the first time a project is
+//   opened, in one cache per project ("project-<id>") so they can be listed and removed per
+//   project from the gallery's offline panel (js/offline.js).
+// - Libraries and fonts from CDNs (three.js, Chart.js, TensorFlow.js, Cropper) are cached as
+//   they are used, in a shared "vendor" cache. Font Awesome, which every page uses, is
+//   precached there on install.
+//
+// Pages and the catalog come from the network when it is reachable so new projects show up
+// right away; other same-origin files are served from the cache and refreshed in the
+// background. CDN files are versioned URLs and are only fetched once.
+
+// Bump SHELL_CACHE when the lists below change; project and vendor caches survive updates
+const SHELL_CACHE = 'shell-v3';
+const VENDOR_CACHE = 'vendor-v1';
+const PROJECT_CACHE_PREFIX = 'project-';
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/main.js',
+    'js/darkmode.js',
+    'js/offline.js',
+    'js/catalog.js',
+    'js/search.js',
+    'js/command-palette.js',
+    'js/host-bridge.js',
+    'js/canvas-host.js',
+    'js/project-bridge.js',
+    'js/projects.js',
+    'vibe-code/',
+    'vibe-code/index.html',
+    'vibe-code/projects.json',
+    'consultancy/index.html'
+];
+
+// Icons for every page, precached so they show offline. Cross-origin requests are only looked
+// up in VENDOR_CACHE, so they go there. The fonts are the ones all.min.css refers to. Unlike the
+// shell, they are not required: a CDN that is blocked or down only costs the icons.
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/';
+const VENDOR_ASSETS = [
+    `${FONT_AWESOME}css/all.min.css`,
+    `${FONT_AWESOME}webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME}webfonts/fa-regular-400.woff2`,
+    `${FONT_AWESOME}webfonts/fa-brands-400.woff2`,
+    `${FONT_AWESOME}webfonts/fa-v4compatibility.woff2`
+];
+
+// Matches vibe-code/projects/<category>/<id>/... relative to the service worker scope
+const PROJECT_PATH = /^vibe-code\/projects\/[^/]+\/([^/]+)\//;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS)),
+            caches.open(VENDOR_CACHE).then(cache => Promise.all(VENDOR_ASSETS.map(url =>
+                cache.add(url).catch(error => console.warn(`Offline: could not precache ${url}:`, error)))))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell and vendor caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && name !== VENDOR_CACHE && !name.startsWith(PROJECT_CACHE_PREFIX))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+    if (url.origin !== self.location.origin) {
+        event.respondWith(cacheFirst(request, VENDOR_CACHE));
+        return;
+    }
+
+    const relativePath = url.href.startsWith(self.registration.scope)
+        ? url.href.slice(self.registration.scope.length)
+        : null;
+    if (relativePath === null) return;
+
+    const projectMatch = relativePath.match(PROJECT_PATH);
+    const cacheName = projectMatch ? PROJECT_CACHE_PREFIX + projectMatch[1] : SHELL_CACHE;
+
+    // loadProjectCatalog() asks for the catalog with cache: 'no-cache'
+    if (request.mode === 'navigate' || request.cache === 'no-cache') {
+        event.respondWith(networkFirst(request, cacheName));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, cacheName));
+    }
+});
+
+// Pages are stored and looked up without their query string so ?project=... links work offline
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const ignoreSearch = request.mode === 'navigate';
+
+    try {
+        const response = await fetch(request);
+        await storeResponse(cache, ignoreSearch ? stripSearch(request.url) : request, response);
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Serve from cache when possible and refresh the cached copy from the network
+async function staleWhileRevalidate(event, cacheName) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => storeResponse(cache, request, response).then(() => response));
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// CDN files are versioned, so a cached copy never needs refreshing
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    await storeResponse(cache, request, response);
+    return response;
+}
+
+// Keep a copy of a complete response: a 200, or an opaque one (no-cors <script> tags), which
+// can't be inspected. Partial 206 responses to Range requests, such as audio, can't be stored;
+// the network response is used whether or not storing it works.
+function storeResponse(cache, key, response) {
+    if (response.status !== 200 && response.type !== 'opaque') return Promise.resolve();
+    return cache.put(key, response.clone()).catch(() => {});
+}
+
+function stripSearch(href) {
+    const url = new URL(href);
+    url.search = '';
+    return url.href;
+}
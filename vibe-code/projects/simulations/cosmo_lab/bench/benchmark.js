@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// Steps a fixed set of universes headlessly (bench/headless.js) and reports, for each, steps
+// per second, the energy drift over the run and a hash of the final state. Each case has a
+// fixed seed and a fixed dt, so the same code on the same Node version ends in the same state:
+// a change meant only to make applyForces or SpatialGrid faster must keep every hash, and one
+// that changes the physics shows up in them. bench/baseline.json holds the expected hashes.
+//
+// Before and after a change to the physics, from this project's directory:
+//
+//   node bench/benchmark.js --quick --check    The regression check: every case, scaled down to
+//                                              a few seconds in all; exits with 1 on a change
+//   node bench/benchmark.js                    Full-size cases, for steps per second
+//
+// Options:
+//   --quick        Run each case with at most BENCHMARK_QUICK_PARTICLES bodies for BENCHMARK_QUICK_STEPS
+//   --case NAME    Run only the named cases (repeatable)
+//   --steps N      Steps per case (--check uses the baseline's)
+//   --check        Exit with 1 if a case ends in another state than the baseline
+//   --update       Write the results to the baseline, after a change that is meant to alter them
+//   --json         Print the results as JSON
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createSimulation, stateHash, GENESIS_EXAMPLES, HEADLESS_DT } = require('./headless');
+
+const BENCHMARK_STEPS = 100;
+const BENCHMARK_QUICK_STEPS = 50;
+const BENCHMARK_QUICK_PARTICLES = 200;
+const BENCHMARK_BASELINE = path.join(__dirname, 'baseline.json');
+// One of each solver, collision model, integrator and boundary
+const BENCHMARK_CASES = {
+    random_barnes_hut: { mode: 'random', numParticles: 5000 },
+    random_exact: { mode: 'random', numParticles: 1000, forceSolver: 'exact' },
+    spiral_merge: { mode: 'spiral_galaxy', numParticles: 2000, collisionModel: 'merge' },
+    clusters_fragment: { mode: 'approaching_clusters', numParticles: 2000, collisionModel: 'fragment' },
+    binary_rk4_adaptive: { mode: 'binary_star_system', numParticles: 1000, integrator: 'rk4', adaptiveSteps: true },
+    streams_reflective: { mode: 'orthogonal_streams', numParticles: 2000, boundary: 'reflective' },
+    ring_open: { mode: 'empty_center_ring', numParticles: 2000, boundary: 'open' },
+    custom_galaxy: { mode: 'custom', genesis: GENESIS_EXAMPLES[0].genesis }
+};
+
+// A case at its --quick size: fewer particles, and custom components with fewer bodies each
+function quickParams(params) {
+    const quick = { ...params, numParticles: Math.min(params.numParticles, BENCHMARK_QUICK_PARTICLES) };
+    if (params.genesis) {
+        const bodies = params.genesis.components.reduce((sum, component) => sum + (component.count || 1), 0);
+        const factor = Math.min(1, BENCHMARK_QUICK_PARTICLES / bodies);
+        quick.genesis = {
+            ...params.genesis,
+            components: params.genesis.components.map(component =>
+                component.count ? { ...component, count: Math.max(1, Math.round(component.count * factor)) } : component)
+        };
+    }
+    return quick;
+}
+
+function parseArguments(args) {
+    const options = { cases: [], steps: null, quick: false, check: false, update: false, json: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--case') {
+            options.cases.push(args[++i]);
+        } else if (arg === '--steps') {
+            options.steps = parseInt(args[++i], 10);
+            if (!(options.steps > 0)) throw new Error('--steps needs a positive number');
+        } else if (arg === '--quick') {
+            options.quick = true;
+        } else if (arg === '--check') {
+            options.check = true;
+        } else if (arg === '--update') {
+            options.update = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else {
+            throw new Error(`Unknown argument ${arg}`);
+        }
+    }
+    const unknown = options.cases.filter(name => !(name in BENCHMARK_CASES));
+    if (unknown.length) {
+        throw new Error(`Unknown case ${unknown.join(', ')}; the cases are ${Object.keys(BENCHMARK_CASES).join(', ')}`);
+    }
+    if (options.cases.length === 0) options.cases = Object.keys(BENCHMARK_CASES);
+    return options;
+}
+
+// Step one case. Measuring energy is not timed: with the exact solver it costs a step's worth.
+function runCase(name, steps, quick) {
+    const params = BENCHMARK_CASES[name];
+    const simulation = createSimulation(quick ? quickParams(params) : params);
+    const initialCount = simulation.particles.length;
+    simulation.measureEnergyDrift(); // Sets the reference energy
+
+    const start = performance.now();
+    for (let i = 0; i < steps; i++) {
+        simulation.step(HEADLESS_DT);
+    }
+    const seconds = (performance.now() - start) / 1000;
+
+    return {
+        name,
+        steps,
+        initialCount,
+        count: simulation.particles.length,
+        stepsPerSecond: steps / seconds,
+        drift: simulation.measureEnergyDrift().drift,
+        hash: stateHash(simulation)
+    };
+}
+
+function readBaseline() {
+    if (!fs.existsSync(BENCHMARK_BASELINE)) return null;
+    return JSON.parse(fs.readFileSync(BENCHMARK_BASELINE, 'utf8'));
+}
+
+// The full-size and --quick results are kept apart, under `cases` and `quick`
+function writeBaseline(results, baseline, section) {
+    const updated = { cases: {}, quick: {}, ...baseline, node: process.version };
+    updated[section] = { ...updated[section] };
+    for (const { name, steps, count, hash } of results) {
+        updated[section][name] = { steps, count, hash };
+    }
+    fs.writeFileSync(BENCHMARK_BASELINE, `${JSON.stringify(updated, null, 4)}\n`);
+}
+
+function formatResult(result) {
+    const drift = `${result.drift >= 0 ? '+' : ''}${(result.drift * 100).toFixed(3)}%`;
+    return [
+        result.name.padEnd(20),
+        `${result.initialCount} → ${result.count}`.padStart(13),
+        String(result.steps).padStart(6),
+        result.stepsPerSecond.toFixed(1).padStart(9),
+        drift.padStart(10),
+        result.hash.padStart(9)
+    ].join('  ');
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const baseline = readBaseline();
+    const section = options.quick ? 'quick' : 'cases';
+    if (options.check && !(baseline && baseline[section])) {
+        throw new Error(`No ${section} baseline at ${BENCHMARK_BASELINE}; create one with --update${options.quick ? ' --quick' : ''}`);
+    }
+    if (options.check && baseline.node !== process.version) {
+        console.warn(`The baseline was recorded with Node ${baseline.node}, this is ${process.version}; math functions may round differently`);
+    }
+
+    if (!options.json) {
+        console.log(['case'.padEnd(20), 'bodies'.padStart(13), 'steps'.padStart(6), 'steps/s'.padStart(9), 'drift'.padStart(10), 'hash'.padStart(9)].join('  '));
+    }
+    const results = [];
+    const changed = [];
+    for (const name of options.cases) {
+        const expected = options.check ? baseline[section][name] : null;
+        if (options.check && !expected) {
+            throw new Error(`The baseline has no case ${name}; add it with --update`);
+        }
+        const defaultSteps = options.quick ? BENCHMARK_QUICK_STEPS : BENCHMARK_STEPS;
+        const result = runCase(name, expected ? expected.steps : options.steps || defaultSteps, options.quick);
+        results.push(result);
+        if (expected && (result.hash !== expected.hash || result.count !== expected.count)) {
+            changed.push(`${name}: expected ${expected.count} bodies with hash ${expected.hash}, got ${result.count} with ${result.hash}`);
+        }
+        if (!options.json) console.log(formatResult(result));
+    }
+
+    if (options.json) console.log(JSON.stringify(results, null, 4));
+    if (options.update) writeBaseline(results, baseline, section);
+    if (changed.length) {
+        console.error(`State changed from the baseline:\n  ${changed.join('\n  ')}`);
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
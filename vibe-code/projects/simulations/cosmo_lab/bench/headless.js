@@ -0,0 +1,62 @@
+// Cosmo Lab without a browser: the scripts js/worker.js imports, run by Node as one function
+// body with no DOM or worker globals, so a Simulation can be created, stepped and measured from
+// the command line (see bench/benchmark.js).
+//
+//   const { createSimulation, stateHash, HEADLESS_DT } = require('./headless');
+//   const simulation = createSimulation({ mode: 'spiral_galaxy', numParticles: 2000 });
+//   for (let i = 0; i < 100; i++) simulation.step(HEADLESS_DT);
+//   console.log(simulation.measureEnergyDrift().drift, stateHash(simulation));
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// In the order js/worker.js imports them
+const HEADLESS_SCRIPTS = ['quadTree.js', 'spatialGrid.js', 'universeFile.js', 'genesis.js', 'simulation.js'];
+// The fixed step of js/worker.js (STEP_DT): one per display frame at normal speed
+const HEADLESS_DT = 0.16;
+// The universe the page starts with (js/main.js), less what the controls override
+const HEADLESS_DEFAULT_PARAMS = { width: 1000, height: 750, gravity: 0.59, numParticles: 1750, seed: 42, simSpeed: 1.0 };
+
+// The scripts run as ordinary compiled code, not in a vm context, where every global lookup
+// would go through the context object and cost more than the physics being timed
+function loadScripts() {
+    const source = HEADLESS_SCRIPTS
+        .map(name => fs.readFileSync(path.join(__dirname, '..', 'js', name), 'utf8'))
+        .join('\n;\n');
+    const load = new Function('console', `${source}\n;return { Simulation, GENESIS_EXAMPLES, PARTICLE_STATE_FIELDS };`);
+    // Simulation logs every universe it creates; only warnings and errors come through
+    return load({ log() {}, warn: console.warn, error: console.error });
+}
+
+const { Simulation, GENESIS_EXAMPLES, PARTICLE_STATE_FIELDS } = loadScripts();
+
+// A running universe; params not given are the page's defaults, then Simulation's own
+function createSimulation(params = {}) {
+    const simulation = new Simulation({ ...HEADLESS_DEFAULT_PARAMS, ...params });
+    simulation.isRunning = true;
+    return simulation;
+}
+
+// FNV-1a hash of every particle's exact state (Simulation.exportState), as 8 hex digits. The
+// same universe stepped the same way by the same engine always hashes the same.
+function stateHash(simulation) {
+    const { count, data } = simulation.exportState();
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    let hash = 0x811c9dc5 ^ count;
+    for (let i = 0; i < bytes.length; i++) {
+        hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+module.exports = {
+    Simulation,
+    GENESIS_EXAMPLES,
+    PARTICLE_STATE_FIELDS,
+    HEADLESS_DT,
+    HEADLESS_DEFAULT_PARAMS,
+    createSimulation,
+    stateHash
+};
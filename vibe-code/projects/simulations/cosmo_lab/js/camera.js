@@ -0,0 +1,154 @@
+// The renderer's view onto the simulation box: the point at the center of the canvas, the zoom
+// (1 fits the whole box to the canvas, the renderer's only view before), and whether the view
+// follows the center of mass or the selected particle. Away from the fitted view a periodic box
+// repeats in every direction, as the wrapping physics sees it. The other boundaries (see
+// applyBoundary in js/simulation.js) show the box once; in open space the view can move and
+// zoom out anywhere, since particles are not kept inside the box.
+
+const CAMERA_MAX_ZOOM = 64;
+const CAMERA_OPEN_MIN_ZOOM = 1 / 32; // How far out the view goes in open space
+const CAMERA_WHEEL_ZOOM = 1.15; // Zoom factor per mouse wheel notch
+
+class Camera {
+    constructor(width, height) {
+        this.width = width;   // Simulation box, in simulation units
+        this.height = height;
+        this.follow = 'none'; // 'none', 'center_of_mass' or 'selected'
+        this.boundary = 'periodic'; // The universe's boundary mode
+        this.reset();
+    }
+
+    // Whether the box repeats in every direction
+    get wraps() {
+        return this.boundary === 'periodic';
+    }
+
+    // Match a universe's boundary mode. Leaving open space brings the view back within reach
+    // of the box.
+    setBoundary(boundary) {
+        if (boundary === this.boundary) return;
+        this.boundary = boundary;
+        if (this.zoom < 1) this.reset();
+        this.lookAt(this.x, this.y);
+    }
+
+    reset() {
+        this.x = this.width / 2;
+        this.y = this.height / 2;
+        this.zoom = 1;
+    }
+
+    // The fitted view: the box exactly, and nothing of its copies around it
+    get isHome() {
+        return this.zoom === 1 && this.x === this.width / 2 && this.y === this.height / 2;
+    }
+
+    // Uniform scale and offset from simulation to canvas coordinates for a canvas of this size
+    transform(canvasWidth, canvasHeight) {
+        const scale = Math.min(canvasWidth / this.width, canvasHeight / this.height) * this.zoom;
+        return {
+            scale,
+            offsetX: canvasWidth / 2 - this.x * scale,
+            offsetY: canvasHeight / 2 - this.y * scale
+        };
+    }
+
+    // Simulation coordinates under a canvas point, not wrapped into the box
+    canvasToWorld(canvasX, canvasY, canvasWidth, canvasHeight) {
+        const { scale, offsetX, offsetY } = this.transform(canvasWidth, canvasHeight);
+        return { x: (canvasX - offsetX) / scale, y: (canvasY - offsetY) / scale };
+    }
+
+    // Zoom by `factor`, keeping the point under the cursor in place unless following something.
+    // Zooming all the way out returns to the fitted view, except in open space, which goes
+    // further out.
+    zoomAt(canvasX, canvasY, factor, canvasWidth, canvasHeight) {
+        const before = this.canvasToWorld(canvasX, canvasY, canvasWidth, canvasHeight);
+        const minZoom = this.boundary === 'open' ? CAMERA_OPEN_MIN_ZOOM : 1;
+        this.zoom = Math.min(CAMERA_MAX_ZOOM, Math.max(minZoom, this.zoom * factor));
+        if (this.zoom === 1 && minZoom === 1 && factor < 1) {
+            this.reset();
+        } else if (this.follow === 'none') {
+            const after = this.canvasToWorld(canvasX, canvasY, canvasWidth, canvasHeight);
+            this.lookAt(this.x + before.x - after.x, this.y + before.y - after.y);
+        }
+    }
+
+    // Drag the view by a distance in canvas pixels; stops following
+    panBy(dx, dy, canvasWidth, canvasHeight) {
+        const { scale } = this.transform(canvasWidth, canvasHeight);
+        this.follow = 'none';
+        this.lookAt(this.x - dx / scale, this.y - dy / scale);
+    }
+
+    // Center the view on a point, the same point in the box when it wraps
+    lookAt(x, y) {
+        if (this.wraps) {
+            this.x = ((x % this.width) + this.width) % this.width;
+            this.y = ((y % this.height) + this.height) % this.height;
+        } else {
+            this.x = x;
+            this.y = y;
+        }
+    }
+
+    // Move with the followed target. `selectedIndex` is the selected particle's index in the
+    // snapshot, or -1.
+    update(snapshot, selectedIndex) {
+        if (!snapshot || snapshot.count === 0) return;
+        if (this.follow === 'center_of_mass') {
+            const center = this.centerOfMass(snapshot);
+            this.lookAt(center.x, center.y);
+        } else if (this.follow === 'selected' && selectedIndex >= 0) {
+            this.lookAt(snapshot.positions[selectedIndex * 2], snapshot.positions[selectedIndex * 2 + 1]);
+        }
+    }
+
+    // Mass-weighted center, on the torus when the box wraps. Each coordinate is then an angle
+    // around the box, averaged as a vector, so a cluster straddling an edge is centred on the
+    // cluster, not the middle of the box.
+    centerOfMass(snapshot) {
+        const { positions, masses, count } = snapshot;
+        if (!this.wraps) {
+            let x = 0, y = 0, totalMass = 0;
+            for (let i = 0; i < count; i++) {
+                x += masses[i] * positions[i * 2];
+                y += masses[i] * positions[i * 2 + 1];
+                totalMass += masses[i];
+            }
+            return totalMass > 0 ? { x: x / totalMass, y: y / totalMass } : { x: this.x, y: this.y };
+        }
+
+        const kx = (2 * Math.PI) / this.width;
+        const ky = (2 * Math.PI) / this.height;
+        let cosX = 0, sinX = 0, cosY = 0, sinY = 0;
+        for (let i = 0; i < count; i++) {
+            const mass = masses[i];
+            cosX += mass * Math.cos(positions[i * 2] * kx);
+            sinX += mass * Math.sin(positions[i * 2] * kx);
+            cosY += mass * Math.cos(positions[i * 2 + 1] * ky);
+            sinY += mass * Math.sin(positions[i * 2 + 1] * ky);
+        }
+        return { x: Math.atan2(sinX, cosX) / kx, y: Math.atan2(sinY, cosY) / ky };
+    }
+
+    // Offsets of the copies of the box that show on a canvas of this size, in simulation units
+    visibleTiles(canvasWidth, canvasHeight) {
+        if (this.isHome || !this.wraps) return [{ x: 0, y: 0 }];
+
+        const { scale } = this.transform(canvasWidth, canvasHeight);
+        const halfWidth = canvasWidth / 2 / scale;
+        const halfHeight = canvasHeight / 2 / scale;
+        const tiles = [];
+        const firstRow = Math.floor((this.y - halfHeight) / this.height);
+        const lastRow = Math.ceil((this.y + halfHeight) / this.height) - 1;
+        const firstCol = Math.floor((this.x - halfWidth) / this.width);
+        const lastCol = Math.ceil((this.x + halfWidth) / this.width) - 1;
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                tiles.push({ x: col * this.width, y: row * this.height });
+            }
+        }
+        return tiles;
+    }
+}
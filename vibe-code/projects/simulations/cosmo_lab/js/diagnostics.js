@@ -0,0 +1,136 @@
+// Live plots of the quantities physics says should not change: energy, momentum, and (without
+// merging collisions) the number of bodies. Fed with the worker's measurements (see 'measure'
+// in js/worker.js), the charts show the most recent samples against simulation age, each scaled
+// to its own range so small drifts are visible.
+
+const DIAGNOSTICS_HISTORY = 240; // Samples kept per chart, four minutes at one per second
+
+const DIAGNOSTICS_CHARTS = [
+    {
+        canvasId: 'energyChart',
+        series: [
+            { key: 'kinetic', label: 'KE', color: '#ffb347' },
+            { key: 'potential', label: 'PE', color: '#7ecfff' },
+            { key: 'total', label: 'Total', color: '#ffffff' }
+        ]
+    },
+    {
+        canvasId: 'momentumChart',
+        series: [{ key: 'momentum', label: '|P|', color: '#8aff8a' }]
+    },
+    {
+        canvasId: 'angularMomentumChart',
+        series: [{ key: 'angularMomentum', label: 'L', color: '#ff8ad8' }]
+    },
+    {
+        canvasId: 'bodyCountChart',
+        series: [{ key: 'count', label: 'Bodies', color: '#b8c6e0' }]
+    }
+];
+
+class DiagnosticsPanel {
+    constructor() {
+        this.samples = [];
+        this.charts = DIAGNOSTICS_CHARTS.map(chart => ({
+            ...chart,
+            canvas: document.getElementById(chart.canvasId)
+        }));
+    }
+
+    record(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > DIAGNOSTICS_HISTORY) {
+            this.samples.shift();
+        }
+        this.draw();
+    }
+
+    clear() {
+        this.samples = [];
+        this.draw();
+    }
+
+    draw() {
+        this.charts.forEach(chart => this.drawChart(chart));
+    }
+
+    drawChart({ canvas, series }) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const legendHeight = 14;
+        const plotTop = legendHeight + 2;
+        const plotHeight = height - plotTop - 2;
+        // Large universes measure their energy less often than the rest (see js/worker.js)
+        const samples = this.samples.filter(sample => series.every(({ key }) => sample[key] !== undefined));
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.fillRect(0, plotTop, width, plotHeight);
+
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'top';
+
+        if (samples.length === 0) {
+            ctx.fillStyle = '#6b7894';
+            ctx.fillText('Waiting for the simulation to run…', 4, plotTop + 4);
+            return;
+        }
+
+        // One range for all series of a chart so they can be compared
+        let min = Infinity;
+        let max = -Infinity;
+        for (const sample of samples) {
+            for (const { key } of series) {
+                min = Math.min(min, sample[key]);
+                max = Math.max(max, sample[key]);
+            }
+        }
+        const padding = (max - min) * 0.1 || Math.abs(max) * 0.01 || 1;
+        min -= padding;
+        max += padding;
+
+        const firstAge = samples[0].age;
+        const ageSpan = Math.max(1, samples[samples.length - 1].age - firstAge);
+        const toX = age => ((age - firstAge) / ageSpan) * width;
+        const toY = value => plotTop + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+        series.forEach(({ key, color }) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            samples.forEach((sample, index) => {
+                const x = samples.length === 1 ? width / 2 : toX(sample.age);
+                if (index === 0) {
+                    ctx.moveTo(x, toY(sample[key]));
+                } else {
+                    ctx.lineTo(x, toY(sample[key]));
+                }
+            });
+            ctx.stroke();
+        });
+
+        // Legend with the latest values, then the range of the axis
+        const latest = samples[samples.length - 1];
+        let legendX = 0;
+        series.forEach(({ key, label, color }) => {
+            const text = `${label} ${formatDiagnostic(latest[key])}`;
+            ctx.fillStyle = color;
+            ctx.fillText(text, legendX, 0);
+            legendX += ctx.measureText(text).width + 10;
+        });
+
+        ctx.fillStyle = '#6b7894';
+        ctx.textAlign = 'right';
+        ctx.fillText(formatDiagnostic(max), width - 2, plotTop + 1);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(formatDiagnostic(min), width - 2, plotTop + plotHeight - 1);
+        ctx.textAlign = 'left';
+    }
+}
+
+function formatDiagnostic(value) {
+    if (Number.isInteger(value)) return String(value);
+    if (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-2)) return value.toExponential(2);
+    return value.toPrecision(4);
+}
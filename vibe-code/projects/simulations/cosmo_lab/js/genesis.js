@@ -0,0 +1,326 @@
+// Declarative initial conditions for the 'custom' genesis mode. A genesis is JSON listing the
+// components of the universe:
+//
+//   { "components": [ { "type": "disk", "count": 2000, "radius": 250 }, ... ] }
+//
+// Every component takes
+//   position    [x, y]      Center, in simulation units (default: the middle of the box)
+//   velocity    [vx, vy]    Bulk velocity of the whole component (default [0, 0])
+//   mass        m or { min, max, slope }
+//                           Particle mass: fixed, or drawn from dN/dm ∝ m^slope between min and
+//                           max (slope 0, the default, is uniform; -2.35 is Salpeter) (default 1)
+//   bodyRadius  r           Radius the particles are drawn and collide with (default 2)
+// and, by type,
+//   disk     count, radius, innerRadius = 0, rotation = 1, centralMass = 0
+//            Spread evenly over the disk's area, orbiting the mass inside their orbit
+//   plummer  count, radius, dispersion = 1, rotation = 0
+//            A Plummer sphere (radius is its scale radius) seen from above: a dense core with
+//            velocities from its equilibrium distribution, scaled by dispersion
+//   ring     count, radius, width = radius / 10, rotation = 1, centralMass = 0
+//   stream   count, length, width = 20, angle = 0, dispersion = 0
+//            A band along angle (degrees) moving with velocity, plus random speeds up to dispersion
+//   point    mass (a number), a single body
+//
+// rotation is the orbital speed as a fraction of the circular speed, negative for clockwise.
+// centralMass is extra mass the particles orbit as if it sat at the center; give it the mass
+// of point components placed there. Particles are generated from the universe's seed, so a
+// genesis and seed always give the same universe.
+
+const GENESIS_COMPONENT_TYPES = ['disk', 'plummer', 'ring', 'stream', 'point'];
+const GENESIS_MAX_PARTICLES = 25000; // As for the preset modes
+const PLUMMER_MAX_RADII = 10;        // Plummer spheres are cut off at this many scale radii
+
+const GENESIS_EXAMPLES = [
+    {
+        name: 'Galaxy with a central mass',
+        genesis: {
+            components: [
+                { type: 'point', mass: 2000, position: [500, 375], bodyRadius: 6 },
+                { type: 'disk', count: 2000, radius: 250, innerRadius: 20, centralMass: 2000, position: [500, 375] }
+            ]
+        }
+    },
+    {
+        name: 'Galaxy merger',
+        genesis: {
+            components: [
+                { type: 'point', mass: 800, position: [300, 280], velocity: [0.6, 0.15], bodyRadius: 4 },
+                { type: 'disk', count: 1000, radius: 120, innerRadius: 10, centralMass: 800, position: [300, 280], velocity: [0.6, 0.15] },
+                { type: 'point', mass: 800, position: [700, 470], velocity: [-0.6, -0.15], bodyRadius: 4 },
+                { type: 'disk', count: 1000, radius: 120, innerRadius: 10, centralMass: 800, rotation: -1, position: [700, 470], velocity: [-0.6, -0.15] }
+            ]
+        }
+    },
+    {
+        name: 'Plummer star cluster',
+        genesis: {
+            components: [
+                { type: 'plummer', count: 2000, radius: 60, mass: { min: 0.5, max: 20, slope: -2.35 } }
+            ]
+        }
+    },
+    {
+        name: 'Binary star with a ring',
+        genesis: {
+            components: [
+                { type: 'point', mass: 500, position: [425, 375], velocity: [0, 0.99], bodyRadius: 5 },
+                { type: 'point', mass: 500, position: [575, 375], velocity: [0, -0.99], bodyRadius: 5 },
+                { type: 'ring', count: 1500, radius: 260, width: 80, centralMass: 1000 }
+            ]
+        }
+    },
+    {
+        name: 'Crossing streams',
+        genesis: {
+            components: [
+                { type: 'stream', count: 800, length: 700, width: 40, velocity: [0.5, 0], dispersion: 0.05 },
+                { type: 'stream', count: 800, length: 550, width: 40, angle: 90, velocity: [0, 0.5], dispersion: 0.05 }
+            ]
+        }
+    }
+];
+
+// Check a genesis and fill in the defaults. Throws an Error naming the offending component.
+// `width` and `height` are the simulation box's, for the default position.
+function normalizeGenesis(genesis, width, height) {
+    if (!genesis || !Array.isArray(genesis.components) || genesis.components.length === 0) {
+        throw new Error('A genesis needs a non-empty "components" list');
+    }
+
+    let total = 0;
+    const components = genesis.components.map((component, index) => {
+        const fail = (message) => {
+            throw new Error(`Component ${index + 1}${component && component.type ? ` (${component.type})` : ''}: ${message}`);
+        };
+        const number = (key, fallback, { min = -Infinity, positive = false, integer = false } = {}) => {
+            const value = component[key] ?? fallback;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || (positive && value <= 0) ||
+                (integer && !Number.isInteger(value))) {
+                const noun = integer ? 'integer' : 'number';
+                const kind = positive ? `a positive ${noun}` : `${integer ? 'an' : 'a'} ${noun}`;
+                fail(`"${key}" must be ${kind}${min > -Infinity ? ` of at least ${min}` : ''}`);
+            }
+            return value;
+        };
+        const vector = (key, fallback) => {
+            const value = component[key] ?? fallback;
+            if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+                fail(`"${key}" must be a pair of numbers like [0, 0]`);
+            }
+            return value;
+        };
+
+        if (!component || typeof component !== 'object') fail('must be an object');
+        if (!GENESIS_COMPONENT_TYPES.includes(component.type)) {
+            fail(`"type" must be one of ${GENESIS_COMPONENT_TYPES.join(', ')}`);
+        }
+
+        const normalized = {
+            type: component.type,
+            position: vector('position', [width / 2, height / 2]),
+            velocity: vector('velocity', [0, 0]),
+            bodyRadius: number('bodyRadius', 2, { min: 0.1 })
+        };
+
+        if (component.type === 'point') {
+            normalized.count = 1;
+            normalized.mass = number('mass', undefined, { positive: true });
+        } else {
+            normalized.count = number('count', undefined, { positive: true, integer: true });
+            const mass = component.mass ?? 1;
+            if (typeof mass === 'number') {
+                normalized.mass = number('mass', 1, { positive: true });
+            } else if (mass && Number.isFinite(mass.min) && Number.isFinite(mass.max) && mass.min > 0 && mass.max >= mass.min &&
+                (mass.slope === undefined || Number.isFinite(mass.slope))) {
+                normalized.mass = { min: mass.min, max: mass.max, slope: mass.slope ?? 0 };
+            } else {
+                fail('"mass" must be a positive number or { "min", "max", "slope" } with 0 < min <= max');
+            }
+        }
+
+        if (component.type === 'disk') {
+            normalized.radius = number('radius', undefined, { positive: true });
+            normalized.innerRadius = number('innerRadius', 0, { min: 0 });
+            if (normalized.innerRadius >= normalized.radius) fail('"innerRadius" must be less than "radius"');
+            normalized.rotation = number('rotation', 1);
+            normalized.centralMass = number('centralMass', 0, { min: 0 });
+        } else if (component.type === 'plummer') {
+            normalized.radius = number('radius', undefined, { positive: true });
+            normalized.dispersion = number('dispersion', 1, { min: 0 });
+            normalized.rotation = number('rotation', 0);
+        } else if (component.type === 'ring') {
+            normalized.radius = number('radius', undefined, { positive: true });
+            normalized.width = number('width', normalized.radius / 10, { min: 0 });
+            normalized.rotation = number('rotation', 1);
+            normalized.centralMass = number('centralMass', 0, { min: 0 });
+        } else if (component.type === 'stream') {
+            normalized.length = number('length', undefined, { min: 0 });
+            normalized.width = number('width', 20, { min: 0 });
+            normalized.angle = number('angle', 0);
+            normalized.dispersion = number('dispersion', 0, { min: 0 });
+        }
+
+        total += normalized.count;
+        return normalized;
+    });
+
+    if (total > GENESIS_MAX_PARTICLES) {
+        throw new Error(`The genesis has ${total} particles, more than the ${GENESIS_MAX_PARTICLES} allowed`);
+    }
+    return { components, count: total };
+}
+
+// Parse a genesis typed or loaded by the user and check it
+function parseGenesis(text, width, height) {
+    let genesis;
+    try {
+        genesis = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    return normalizeGenesis(genesis, width, height);
+}
+
+// Generate the particles of a normalized genesis, calling
+// emit(x, y, vx, vy, mass, bodyRadius) for each. `random` is a simplePRNG generator (32-bit
+// integers); `gravity` and `softening` are the simulation's, for orbital speeds.
+function generateGenesis(genesis, random, { gravity, softening }, emit) {
+    const uniform = () => (random() + 0.5) / 4294967296; // Strictly between 0 and 1
+
+    const drawMass = (mass) => {
+        if (typeof mass === 'number') return mass;
+        const { min, max, slope } = mass;
+        const u = uniform();
+        if (min === max) return min;
+        if (slope === -1) return min * Math.pow(max / min, u);
+        const a = slope + 1;
+        return Math.pow(Math.pow(min, a) + u * (Math.pow(max, a) - Math.pow(min, a)), 1 / a);
+    };
+
+    // Speed of a circular orbit of radius r around mass M, with the simulation's softening
+    const circularSpeed = (M, r) => Math.sqrt((gravity * M * r * r) / Math.pow(r * r + softening * softening, 1.5));
+
+    // Emit particles at the given offsets from the component's center, orbiting the mass inside
+    // their orbit (the particles nearer the center plus centralMass) at rotation × circular speed
+    const emitOrbiting = (component, bodies) => {
+        const [cx, cy] = component.position;
+        const [bvx, bvy] = component.velocity;
+        const order = bodies.map((body, index) => index).sort((a, b) => bodies[a].r - bodies[b].r);
+        let enclosed = component.centralMass || 0;
+        const speeds = new Array(bodies.length);
+        for (const index of order) {
+            speeds[index] = component.rotation * circularSpeed(enclosed + bodies[index].mass / 2, bodies[index].r);
+            enclosed += bodies[index].mass;
+        }
+        bodies.forEach(({ r, angle, mass, vx = 0, vy = 0 }, index) => {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            emit(cx + r * cos, cy + r * sin,
+                bvx + vx - speeds[index] * sin, bvy + vy + speeds[index] * cos,
+                mass, component.bodyRadius);
+        });
+    };
+
+    for (const component of genesis.components) {
+        const [cx, cy] = component.position;
+        const [bvx, bvy] = component.velocity;
+        const bodies = [];
+
+        switch (component.type) {
+            case 'point':
+                emit(cx, cy, bvx, bvy, component.mass, component.bodyRadius);
+                break;
+
+            case 'disk': {
+                // Uniform over the annulus' area
+                const inner2 = component.innerRadius * component.innerRadius;
+                const outer2 = component.radius * component.radius;
+                for (let i = 0; i < component.count; i++) {
+                    bodies.push({
+                        r: Math.sqrt(inner2 + uniform() * (outer2 - inner2)),
+                        angle: uniform() * 2 * Math.PI,
+                        mass: drawMass(component.mass)
+                    });
+                }
+                emitOrbiting(component, bodies);
+                break;
+            }
+
+            case 'ring':
+                for (let i = 0; i < component.count; i++) {
+                    bodies.push({
+                        r: Math.max(0, component.radius + (uniform() - 0.5) * component.width),
+                        angle: uniform() * 2 * Math.PI,
+                        mass: drawMass(component.mass)
+                    });
+                }
+                emitOrbiting(component, bodies);
+                break;
+
+            case 'plummer': {
+                // Radii and speeds of a 3D Plummer sphere (Aarseth, Hénon and Wielen 1974),
+                // projected onto the plane
+                const a = component.radius;
+                const masses = Array.from({ length: component.count }, () => drawMass(component.mass));
+                const totalMass = masses.reduce((sum, mass) => sum + mass, 0);
+                for (let i = 0; i < component.count; i++) {
+                    let r;
+                    do {
+                        r = a / Math.sqrt(Math.pow(uniform(), -2 / 3) - 1);
+                    } while (r > PLUMMER_MAX_RADII * a);
+
+                    // Speed as a fraction q of the escape speed, by rejection from q²(1 - q²)^3.5
+                    let q;
+                    do {
+                        q = uniform();
+                    } while (uniform() * 0.1 > q * q * Math.pow(1 - q * q, 3.5));
+                    const escapeSpeed = Math.sqrt((2 * gravity * totalMass) / Math.sqrt(r * r + a * a));
+                    const speed = q * escapeSpeed * component.dispersion;
+
+                    // Isotropic directions in 3D, seen from above
+                    const cosPosition = 2 * uniform() - 1;
+                    const cosVelocity = 2 * uniform() - 1;
+                    const velocityAngle = uniform() * 2 * Math.PI;
+                    const planarSpeed = speed * Math.sqrt(1 - cosVelocity * cosVelocity);
+                    bodies.push({
+                        r: r * Math.sqrt(1 - cosPosition * cosPosition),
+                        angle: uniform() * 2 * Math.PI,
+                        mass: masses[i],
+                        vx: planarSpeed * Math.cos(velocityAngle),
+                        vy: planarSpeed * Math.sin(velocityAngle)
+                    });
+                }
+                emitOrbiting({ ...component, centralMass: 0 }, bodies);
+                break;
+            }
+
+            case 'stream': {
+                const angle = (component.angle * Math.PI) / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                for (let i = 0; i < component.count; i++) {
+                    const along = (uniform() - 0.5) * component.length;
+                    const across = (uniform() - 0.5) * component.width;
+                    const noiseAngle = uniform() * 2 * Math.PI;
+                    const noise = uniform() * component.dispersion;
+                    emit(cx + along * cos - across * sin, cy + along * sin + across * cos,
+                        bvx + noise * Math.cos(noiseAngle), bvy + noise * Math.sin(noiseAngle),
+                        drawMass(component.mass), component.bodyRadius);
+                }
+                break;
+            }
+        }
+    }
+}
+
+// JSON text of a genesis with one component per line, for the editor
+function formatGenesis(genesis) {
+    const compact = (value) => {
+        if (Array.isArray(value)) return `[${value.map(compact).join(', ')}]`;
+        if (value && typeof value === 'object') {
+            return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${compact(item)}`).join(', ')} }`;
+        }
+        return JSON.stringify(value);
+    };
+    return `{\n    "components": [\n        ${genesis.components.map(compact).join(',\n        ')}\n    ]\n}`;
+}
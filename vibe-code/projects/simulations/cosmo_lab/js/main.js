@@ -17,22 +17,22 @@ document.addEventListener('DOMContentLoaded', () => {
         // mode will be read from the select element by the UI listener triggered by createButton.click()
     };
 
-    const simulation = new Simulation(initialParams);
+    // The physics runs in js/worker.js; the page only sends commands and draws snapshots
+    const simulation = new SimulationClient(initialParams);
     const renderer = new Renderer(canvasId, simulation);
+    const tools = new ToolPalette(renderer, simulation);
+    renderer.overlay = tools;
+
+    simulation.worker.addEventListener('error', (event) => {
+        VibeBridge.reportError(`Simulation worker: ${event.message}`);
+    });
 
     // Run UI setup first to get references and listeners ready
-    setupUI(simulation, renderer);
-
-    let lastTimestamp = 0;
-    function gameLoop(timestamp) {
-        const dt = (timestamp - lastTimestamp) / 100;
-        lastTimestamp = timestamp;
-        const maxDt = 0.5;
-        const clampedDt = Math.min(dt, maxDt);
-        if (clampedDt > 0) {
-             simulation.step(clampedDt);
-        }
-        renderer.draw();
+    setupUI(simulation, renderer, tools);
+
+    // Stepping happens in the worker at its own pace; each frame draws the latest snapshot
+    function gameLoop() {
+        renderer.draw(simulation.snapshot);
         requestAnimationFrame(gameLoop);
     }
 
@@ -40,7 +40,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('createButton').click();
 
     // Set simulation to auto-play
-    simulation.isRunning = true;
+    simulation.setRunning(true);
 
     // --- Explicitly update button state AFTER setting auto-play ---
     const playPauseButton = document.getElementById('playPauseButton');
@@ -49,6 +49,15 @@ document.addEventListener('DOMContentLoaded', () => {
     playPauseButton.classList.remove('primary');
     // --- End button state update ---
 
+    // Gallery bridge: pause/resume map onto the play/pause button
+    VibeBridge.on('pause', () => {
+        if (simulation.isRunning) playPauseButton.click();
+    });
+    VibeBridge.on('resume', () => {
+        if (!simulation.isRunning) playPauseButton.click();
+    });
+    VibeBridge.ready({ title: 'Cosmo Lab', capabilities: ['pause'] });
+
     // Start the loop
     requestAnimationFrame(gameLoop);
 });
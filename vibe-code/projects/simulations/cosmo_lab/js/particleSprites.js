@@ -0,0 +1,217 @@
+// Draws the particles for js/renderer.js, which lays them out once per frame in a flat
+// Float32Array of PARTICLE_FLOATS floats each: canvas x and y, radius in pixels, and red,
+// green, blue and alpha from 0 to 1. Two ways to draw the same array:
+// - WebGLParticleSprites: one instanced quad per particle on a WebGL2 canvas of its own,
+//   shaded round in the fragment shader and copied into the 2D canvas. Only core WebGL2 is
+//   used, so the software implementations of headless Linux (SwiftShader, llvmpipe) run it.
+// - CanvasParticleSprites: Canvas 2D arcs, for browsers without WebGL2 or after the context
+//   is lost.
+// Both draw discs, or soft glow sprites blended additively for the glow mode.
+
+const PARTICLE_FLOATS = 7;            // x, y, radius, r, g, b, a
+const GLOW_RADIUS = 4;                // Glow radius, in particle radii
+const GLOW_MIN_RADIUS = 3;            // Pixels, however far out the view is
+const GLOW_SPRITE_SIZE = 32;          // Pixels, for the Canvas 2D glow sprites
+const GLOW_SPRITE_LEVELS = 8;         // Steps per color channel the glow sprites are cached at
+
+const PARTICLE_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 corner;
+layout(location = 1) in vec3 particle;
+layout(location = 2) in vec4 color;
+uniform vec2 canvasSize;
+out vec2 offset;
+out float radius;
+out vec4 particleColor;
+
+void main() {
+    offset = corner;
+    radius = particle.z;
+    particleColor = color;
+    vec2 clip = (particle.xy + corner * particle.z) / canvasSize * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+// Discs with a one pixel soft edge, or the glow sprite of CanvasParticleSprites: opaque and
+// whitened at the center, half transparent a quarter of the way out, clear at the edge
+const PARTICLE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+uniform bool glow;
+in vec2 offset;
+in float radius;
+in vec4 particleColor;
+out vec4 fragColor;
+
+void main() {
+    float centerDistance = length(offset);
+    if (centerDistance >= 1.0) discard;
+    vec3 rgb = particleColor.rgb;
+    float alpha;
+    if (glow) {
+        alpha = centerDistance < 0.25 ? 1.0 - 2.0 * centerDistance : 0.5 * (1.0 - centerDistance) / 0.75;
+        rgb = mix(rgb, vec3(1.0), 0.35 * max(0.0, 1.0 - 4.0 * centerDistance));
+    } else {
+        alpha = clamp((1.0 - centerDistance) * radius + 0.5, 0.0, 1.0);
+    }
+    alpha *= particleColor.a;
+    fragColor = vec4(rgb * alpha, alpha);
+}`;
+
+class WebGLParticleSprites {
+    // The sprites on a canvas of their own, or null without WebGL2
+    static create() {
+        try {
+            const canvas = document.createElement('canvas');
+            const gl = canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: true, antialias: false, depth: false });
+            return gl ? new WebGLParticleSprites(canvas, gl) : null;
+        } catch (error) {
+            console.warn('WebGL2 particle sprites unavailable:', error);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl) {
+        this.name = 'webgl';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.lost = false; // Set when the browser takes the context away; draw with Canvas 2D instead
+        canvas.addEventListener('webglcontextlost', (event) => {
+            event.preventDefault();
+            this.lost = true;
+        });
+
+        this.program = this.linkProgram(PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER);
+        this.canvasSizeLocation = gl.getUniformLocation(this.program, 'canvasSize');
+        this.glowLocation = gl.getUniformLocation(this.program, 'glow');
+
+        this.vertexArray = gl.createVertexArray();
+        gl.bindVertexArray(this.vertexArray);
+
+        // The quad every particle is drawn on, corners -1 to 1, as a triangle strip
+        this.cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        // One entry of the particle array per instance
+        const stride = PARTICLE_FLOATS * 4;
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.enableVertexAttribArray(1);
+        gl.vertexAttribPointer(1, 3, gl.FLOAT, false, stride, 0);
+        gl.vertexAttribDivisor(1, 1);
+        gl.enableVertexAttribArray(2);
+        gl.vertexAttribPointer(2, 4, gl.FLOAT, false, stride, 3 * 4);
+        gl.vertexAttribDivisor(2, 1);
+
+        gl.bindVertexArray(null);
+    }
+
+    linkProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    // Draw `count` particles of `instances` onto a 2D context of the given size, in canvas pixels
+    draw(ctx, instances, count, width, height, glow) {
+        if (count === 0) return;
+        const gl = this.gl;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        gl.viewport(0, 0, width, height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        // Premultiplied colors; the glow adds up towards white where particles crowd
+        gl.blendFunc(gl.ONE, glow ? gl.ONE : gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.useProgram(this.program);
+        gl.uniform2f(this.canvasSizeLocation, width, height);
+        gl.uniform1i(this.glowLocation, glow ? 1 : 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, instances.subarray(0, count * PARTICLE_FLOATS), gl.STREAM_DRAW);
+        gl.bindVertexArray(this.vertexArray);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+        gl.bindVertexArray(null);
+
+        // Read back within the same task, before the browser clears the drawing buffer
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        if (glow) ctx.globalCompositeOperation = 'lighter';
+        ctx.drawImage(this.canvas, 0, 0);
+        ctx.restore();
+    }
+}
+
+class CanvasParticleSprites {
+    constructor() {
+        this.name = 'canvas';
+        this.lost = false;
+        this.glowSprites = new Map(); // Pre-rendered glow sprites, by quantized color
+    }
+
+    // Draw `count` particles of `instances` onto a 2D context, in canvas pixels
+    draw(ctx, instances, count, width, height, glow) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        if (glow) ctx.globalCompositeOperation = 'lighter';
+        for (let i = 0; i < count; i++) {
+            const k = i * PARTICLE_FLOATS;
+            const x = instances[k];
+            const y = instances[k + 1];
+            const radius = instances[k + 2];
+            if (glow) {
+                ctx.drawImage(this.glowSprite(instances[k + 3], instances[k + 4], instances[k + 5]), x - radius, y - radius, radius * 2, radius * 2);
+                continue;
+            }
+            ctx.globalAlpha = instances[k + 6];
+            ctx.fillStyle = `rgb(${Math.round(instances[k + 3] * 255)}, ${Math.round(instances[k + 4] * 255)}, ${Math.round(instances[k + 5] * 255)})`;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    // Soft round sprite of a color, fully opaque at the center and clear at the edge
+    glowSprite(r, g, b) {
+        const level = (channel) => Math.round(channel * GLOW_SPRITE_LEVELS);
+        const key = (level(r) * (GLOW_SPRITE_LEVELS + 1) + level(g)) * (GLOW_SPRITE_LEVELS + 1) + level(b);
+        let sprite = this.glowSprites.get(key);
+        if (!sprite) {
+            sprite = document.createElement('canvas');
+            sprite.width = sprite.height = GLOW_SPRITE_SIZE;
+            const spriteCtx = sprite.getContext('2d');
+            const half = GLOW_SPRITE_SIZE / 2;
+            const rgb = [r, g, b].map(channel => level(channel) / GLOW_SPRITE_LEVELS);
+            const css = (whiten) => rgb.map(channel => Math.round((channel + (1 - channel) * whiten) * 255)).join(', ');
+            const gradient = spriteCtx.createRadialGradient(half, half, 0, half, half, half);
+            gradient.addColorStop(0, `rgba(${css(0.35)}, 1)`);
+            gradient.addColorStop(0.25, `rgba(${css(0)}, 0.5)`);
+            gradient.addColorStop(1, `rgba(${css(0)}, 0)`);
+            spriteCtx.fillStyle = gradient;
+            spriteCtx.fillRect(0, 0, GLOW_SPRITE_SIZE, GLOW_SPRITE_SIZE);
+            this.glowSprites.set(key, sprite);
+        }
+        return sprite;
+    }
+}
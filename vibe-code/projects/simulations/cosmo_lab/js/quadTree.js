@@ -0,0 +1,277 @@
+// Barnes–Hut quadtree for approximate gravity in O(n log n).
+//
+// The tree is rebuilt every step from the particle positions. A node far enough away from a
+// particle (node size / distance < theta) acts as a single body at its center of mass; closer
+// nodes are opened. theta = 0 opens every node and reproduces the exact all-pairs forces.
+//
+// Distances use the minimum image convention, like the exact solver, so the universe stays
+// toroidal: a particle near the left edge is pulled by a cluster just across the right edge.
+// Without `periodic` (the other boundary modes, see applyBoundary in js/simulation.js) distances
+// are plain and the root cell covers the particles wherever they are, even far outside the box.
+//
+// Nodes live in flat typed arrays that are reused between steps, so building the tree for
+// tens of thousands of particles does not allocate.
+
+const QUADTREE_LEAF_CAPACITY = 8; // Bodies a leaf holds before it is split; summed directly
+const QUADTREE_MAX_DEPTH = 24;    // Coincident particles share a leaf below this depth
+
+class QuadTree {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.periodic = true; // Measure distances across the wrapping edges
+        this.capacity = 0;
+        this.nodeCount = 0;
+        this._allocateNodes(1024);
+        this.bodyNext = new Int32Array(0);
+        this.bodyX = new Float64Array(0);
+        this.bodyY = new Float64Array(0);
+        this.bodyMass = new Float64Array(0);
+        this.stack = new Int32Array(QUADTREE_MAX_DEPTH * 3 + 8);
+    }
+
+    _allocateNodes(capacity) {
+        const grow = (array, Type) => {
+            const next = new Type(capacity);
+            if (array) next.set(array.subarray(0, Math.min(array.length, capacity)));
+            return next;
+        };
+        this.centerX = grow(this.centerX, Float64Array);   // Cell center
+        this.centerY = grow(this.centerY, Float64Array);
+        this.halfSize = grow(this.halfSize, Float64Array); // Half the cell's side length
+        this.mass = grow(this.mass, Float64Array);
+        this.massX = grow(this.massX, Float64Array);       // Mass weighted position sums, then
+        this.massY = grow(this.massY, Float64Array);       // the center of mass once built
+        this.children = grow(this.children, Int32Array);   // First of 4 consecutive children, or -1 for a leaf
+        this.firstBody = grow(this.firstBody, Int32Array); // Leaf bodies, linked through bodyNext
+        this.bodyCount = grow(this.bodyCount, Int32Array);
+        this.depth = grow(this.depth, Int32Array);
+        this.capacity = capacity;
+    }
+
+    _createNode(centerX, centerY, halfSize, depth) {
+        if (this.nodeCount === this.capacity) {
+            this._allocateNodes(this.capacity * 2);
+        }
+        const node = this.nodeCount++;
+        this.centerX[node] = centerX;
+        this.centerY[node] = centerY;
+        this.halfSize[node] = halfSize;
+        this.depth[node] = depth;
+        this.mass[node] = 0;
+        this.massX[node] = 0;
+        this.massY[node] = 0;
+        this.children[node] = -1;
+        this.firstBody[node] = -1;
+        this.bodyCount[node] = 0;
+        return node;
+    }
+
+    _split(node) {
+        const half = this.halfSize[node] / 2;
+        const depth = this.depth[node] + 1;
+        const x = this.centerX[node];
+        const y = this.centerY[node];
+        // Quadrant order matches _quadrant(): bit 0 = right half, bit 1 = bottom half
+        const first = this._createNode(x - half, y - half, half, depth);
+        this._createNode(x + half, y - half, half, depth);
+        this._createNode(x - half, y + half, half, depth);
+        this._createNode(x + half, y + half, half, depth);
+        this.children[node] = first;
+    }
+
+    _quadrant(node, x, y) {
+        return (x >= this.centerX[node] ? 1 : 0) + (y >= this.centerY[node] ? 2 : 0);
+    }
+
+    // Build the tree for `particles` (objects with x, y and mass, inside the simulation box
+    // when periodic)
+    build(particles) {
+        this.nodeCount = 0;
+        if (this.bodyNext.length < particles.length) {
+            const capacity = Math.max(particles.length, this.bodyNext.length * 2);
+            this.bodyNext = new Int32Array(capacity);
+            this.bodyX = new Float64Array(capacity);
+            this.bodyY = new Float64Array(capacity);
+            this.bodyMass = new Float64Array(capacity);
+        }
+
+        // Positions are copied so the force walk reads flat arrays instead of particle objects
+        for (let i = 0; i < particles.length; i++) {
+            this.bodyX[i] = particles[i].x;
+            this.bodyY[i] = particles[i].y;
+            this.bodyMass[i] = particles[i].mass;
+        }
+
+        // A square root cell covering the whole (possibly rectangular) box, or without wrapping
+        // the bounding box of the particles
+        let left = 0;
+        let top = 0;
+        let size = Math.max(this.width, this.height);
+        if (!this.periodic && particles.length > 0) {
+            let right = -Infinity;
+            let bottom = -Infinity;
+            left = Infinity;
+            top = Infinity;
+            for (let i = 0; i < particles.length; i++) {
+                left = Math.min(left, this.bodyX[i]);
+                right = Math.max(right, this.bodyX[i]);
+                top = Math.min(top, this.bodyY[i]);
+                bottom = Math.max(bottom, this.bodyY[i]);
+            }
+            size = Math.max(right - left, bottom - top) || 1;
+        }
+        this._createNode(left + size / 2, top + size / 2, size / 2, 0);
+
+        for (let i = 0; i < particles.length; i++) {
+            this._insert(i);
+        }
+
+        // Turn the mass weighted sums into centers of mass
+        for (let node = 0; node < this.nodeCount; node++) {
+            const mass = this.mass[node];
+            if (mass > 0) {
+                this.massX[node] /= mass;
+                this.massY[node] /= mass;
+            }
+        }
+    }
+
+    // Add body `index` below `node`, which already counts the masses of the levels above it
+    _insert(index, node = 0) {
+        const x = this.bodyX[index];
+        const y = this.bodyY[index];
+        const mass = this.bodyMass[index];
+
+        while (true) {
+            this.mass[node] += mass;
+            this.massX[node] += mass * x;
+            this.massY[node] += mass * y;
+
+            if (this.children[node] !== -1) {
+                node = this.children[node] + this._quadrant(node, x, y);
+                continue;
+            }
+
+            if (this.bodyCount[node] < QUADTREE_LEAF_CAPACITY || this.depth[node] >= QUADTREE_MAX_DEPTH) {
+                this.bodyNext[index] = this.firstBody[node];
+                this.firstBody[node] = index;
+                this.bodyCount[node]++;
+                return;
+            }
+
+            // Full leaf: hand its bodies down one level and keep descending with the new one
+            this._split(node);
+            let body = this.firstBody[node];
+            this.firstBody[node] = -1;
+            this.bodyCount[node] = 0;
+            while (body !== -1) {
+                const next = this.bodyNext[body];
+                this._insert(body, this.children[node] + this._quadrant(node, this.bodyX[body], this.bodyY[body]));
+                body = next;
+            }
+            node = this.children[node] + this._quadrant(node, x, y);
+        }
+    }
+
+    // Sum the gravity of everything else on particle `index` into out = [fx, fy, potential],
+    // using the same force law as the exact solver, |F| = G m M / (r^2 + softening^2).
+    // The potential (see gravitationalPotential) is only summed when `withPotential` is set.
+    _accumulate(index, G, softening, theta, out, withPotential) {
+        const bodyX = this.bodyX;
+        const bodyY = this.bodyY;
+        const bodyMass = this.bodyMass;
+        const px = bodyX[index];
+        const py = bodyY[index];
+        const mass = bodyMass[index];
+        const width = this.width;
+        const height = this.height;
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        const periodic = this.periodic;
+        const thetaSq = theta * theta;
+        const softeningSq = softening * softening;
+        const stack = this.stack;
+        let top = 0;
+        let fx = 0;
+        let fy = 0;
+        let potential = 0;
+
+        stack[top++] = 0;
+
+        while (top > 0) {
+            const node = stack[--top];
+            if (this.mass[node] === 0) continue;
+
+            let dx = this.massX[node] - px;
+            let dy = this.massY[node] - py;
+            if (periodic) {
+                if (dx > halfWidth) dx -= width; else if (dx < -halfWidth) dx += width;
+                if (dy > halfHeight) dy -= height; else if (dy < -halfHeight) dy += height;
+            }
+            const distSq = dx * dx + dy * dy;
+            const half = this.halfSize[node];
+            const size = half * 2;
+
+            // Never approximate a cell holding the particle itself, whatever theta is
+            const containsParticle = Math.abs(px - this.centerX[node]) <= half && Math.abs(py - this.centerY[node]) <= half;
+
+            if (!containsParticle && size * size < thetaSq * distSq) {
+                const dist = Math.sqrt(distSq);
+                const force = (G * mass * this.mass[node]) / (distSq + softeningSq);
+                fx += force * (dx / (dist + 1e-8));
+                fy += force * (dy / (dist + 1e-8));
+                if (withPotential) {
+                    potential += gravitationalPotential(G, mass, this.mass[node], dist, softening);
+                }
+            } else if (this.children[node] === -1) {
+                for (let body = this.firstBody[node]; body !== -1; body = this.bodyNext[body]) {
+                    if (body === index) continue;
+                    let dx = bodyX[body] - px;
+                    let dy = bodyY[body] - py;
+                    if (periodic) {
+                        if (dx > halfWidth) dx -= width; else if (dx < -halfWidth) dx += width;
+                        if (dy > halfHeight) dy -= height; else if (dy < -halfHeight) dy += height;
+                    }
+
+                    const distSq = dx * dx + dy * dy;
+                    const dist = Math.sqrt(distSq);
+                    const force = (G * mass * bodyMass[body]) / (distSq + softeningSq);
+                    fx += force * (dx / (dist + 1e-8));
+                    fy += force * (dy / (dist + 1e-8));
+                    if (withPotential) {
+                        potential += gravitationalPotential(G, mass, bodyMass[body], dist, softening);
+                    }
+                }
+            } else {
+                // Depth-first, so the stack never holds more than 3 entries per level plus 4
+                const first = this.children[node];
+                stack[top++] = first;
+                stack[top++] = first + 1;
+                stack[top++] = first + 2;
+                stack[top++] = first + 3;
+            }
+        }
+
+        out[0] = fx;
+        out[1] = fy;
+        out[2] = potential;
+        return out;
+    }
+
+    // Gravitational force on particle `index`; returns [fx, fy, ...] in `out`
+    computeForce(index, G, softening, theta, out) {
+        return this._accumulate(index, G, softening, theta, out, false);
+    }
+
+    // Force on and potential energy of particle `index`; returns [fx, fy, potential] in `out`
+    computeForceAndPotential(index, G, softening, theta, out) {
+        return this._accumulate(index, G, softening, theta, out, true);
+    }
+}
+
+// Potential energy of two masses at distance r for the force law |F| = G m M / (r^2 + s^2):
+// U(r) = -∫_r^∞ F dr = -(G m M / s) (π/2 - atan(r / s))
+function gravitationalPotential(G, mass1, mass2, dist, softening) {
+    return -(G * mass1 * mass2 / softening) * (Math.PI / 2 - Math.atan(dist / softening));
+}
@@ -0,0 +1,100 @@
+// Records Cosmo Lab runs in one of two ways:
+// - Video: the on-screen canvas as it plays, captured to WebM with MediaRecorder.
+// - Frames: a deterministic PNG sequence for offline rendering. The universe is paused and
+//   advanced by the frame's time in fixed steps (see 'stepFrame' in js/worker.js), so the
+//   same starting state always gives the same frames however slow the machine is. Frames are
+//   drawn off screen through the renderer's camera at a multiple of the simulation size,
+//   independent of the window, and zipped (js/zip.js).
+
+const RECORDER_VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const RECORDER_VIDEO_BITRATE = 8000000; // Bits per second; particles are small, sharp details
+
+class Recorder {
+    // `simulation` is the SimulationClient, `renderer` the on-screen Renderer
+    constructor(simulation, renderer) {
+        this.simulation = simulation;
+        this.renderer = renderer;
+        this.mediaRecorder = null;
+        this.cancelled = false;
+    }
+
+    static supportsVideo() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            RECORDER_VIDEO_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    get isRecordingVideo() {
+        return this.mediaRecorder !== null;
+    }
+
+    // Start capturing the on-screen canvas. Resolves to the WebM Blob once stopVideo() is called.
+    startVideo(fps) {
+        const mimeType = RECORDER_VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const stream = this.renderer.canvas.captureStream(fps);
+        const chunks = [];
+
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: RECORDER_VIDEO_BITRATE });
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        const finished = new Promise((resolve, reject) => {
+            this.mediaRecorder.addEventListener('stop', () => {
+                stream.getTracks().forEach(track => track.stop());
+                this.mediaRecorder = null;
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            });
+            this.mediaRecorder.addEventListener('error', (event) => {
+                stream.getTracks().forEach(track => track.stop());
+                this.mediaRecorder = null;
+                reject(event.error);
+            });
+        });
+        this.mediaRecorder.start(1000); // Hand over data every second rather than all at the end
+        return finished;
+    }
+
+    stopVideo() {
+        if (this.mediaRecorder) this.mediaRecorder.stop();
+    }
+
+    // Render `frames` frames, each `1000 / fps` ms of simulation time later than the previous
+    // (stepped by the worker in its usual fixed steps), at `scale` times the simulation size.
+    // Leaves the universe paused after the last frame. Resolves to the zip Blob, or to null if
+    // cancel() was called.
+    async recordFrames({ frames, fps, scale, onProgress }) {
+        const width = Math.round(this.renderer.simulationWidth * scale);
+        const height = Math.round(this.renderer.simulationHeight * scale);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const dt = 1000 / fps / 100; // Same units as the worker's clock, see tick() in js/worker.js
+        const digits = Math.max(5, String(frames - 1).length);
+        const files = [];
+
+        this.cancelled = false;
+        this.simulation.setRunning(false);
+
+        for (let frame = 0; frame < frames; frame++) {
+            // The first frame is the starting state
+            if (frame > 0) await this.simulation.stepFrame(dt);
+            if (this.cancelled) return null;
+
+            this.renderer.updateView(this.simulation.snapshot);
+            this.renderer.render(ctx, width, height, this.simulation.snapshot);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            files.push({
+                name: `frame_${String(frame).padStart(digits, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+            if (onProgress) onProgress(frame + 1, frames);
+        }
+
+        return createZip(files);
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+}
@@ -0,0 +1,401 @@
+// The render modes that show more than one dot per particle, drawn by js/renderer.js:
+// - density: particle mass binned on a grid over the canvas, blurred and shaded on a heat scale
+// - potential: contour lines of the gravitational potential, from the particles binned on a
+//   coarse grid so it costs the same for any number of particles
+// - streamlines: the mass-weighted mean velocity on a grid over the canvas, traced into lines
+// - trails: particles drawn onto a buffer that fades a little every frame
+//
+// Grids are laid over the canvas, not the box, so they follow the camera's zoom and tiling, and
+// have a fixed number of columns, so a large recording costs no more than the window. Buffers are
+// kept per drawing context: the recorder's off-screen frames (js/recorder.js) get their own.
+
+const DENSITY_COLUMNS = 256;           // Heatmap cells across the canvas
+const DENSITY_BLUR_RADIUS = 2;         // Cells; applied twice, close to a Gaussian
+const DENSITY_PALETTE = [              // Heat scale from empty to densest, evenly spaced
+    [0, 0, 0], [40, 11, 84], [136, 34, 106], [212, 72, 66], [249, 142, 9], [252, 255, 164]
+];
+const POTENTIAL_COLUMNS = 64;          // Potential samples across the canvas
+const POTENTIAL_SOURCE_COLUMNS = 40;   // Cells the particles are binned into across the box
+const POTENTIAL_LEVELS = 16;           // Contour lines between the deepest and shallowest sample
+const STREAMLINE_COLUMNS = 40;         // Velocity cells across the canvas, one streamline each
+const STREAMLINE_STEPS = 8;            // Half-cell steps traced each way from a cell's center
+const STREAMLINE_MIN_MASS = 0.1;       // Blurred mass below which there is no flow to trace
+const TRAIL_FADE = 0.1;                // Share of the trails erased every frame
+
+// Contour segments of a marching squares cell, indexed by which corners are above the level
+// (top left 8, top right 4, bottom right 2, bottom left 1), as pairs of edges: 0 top,
+// 1 right, 2 bottom, 3 left. Saddles (5 and 10) are split towards the corners below.
+const MARCHING_SQUARES_SEGMENTS = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]], [[0, 1]], [[3, 0], [2, 1]], [[0, 2]], [[3, 0]],
+    [[3, 0]], [[0, 2]], [[0, 1], [3, 2]], [[0, 1]], [[3, 1]], [[2, 1]], [[3, 2]], []
+];
+
+class RenderLayers {
+    // `renderer` provides the camera, the box size and the particle colors
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.states = new WeakMap(); // Per drawing context: trail buffer, cached fields
+    }
+
+    // Forget trails and cached fields, as after a change of mode
+    clear() {
+        this.states = new WeakMap();
+    }
+
+    state(ctx) {
+        let state = this.states.get(ctx);
+        if (!state) {
+            state = { trail: null, trailView: null, trailAge: -1, potential: null, potentialKey: null };
+            this.states.set(ctx, state);
+        }
+        return state;
+    }
+
+    // Call back with every particle's canvas position, once per copy of the box in view.
+    // `view` is the camera transform for the canvas, plus its width, height and tiles.
+    forEachOnCanvas(snapshot, view, callback) {
+        const { scale, offsetX, offsetY, width, height, tiles } = view;
+        const positions = snapshot.positions;
+        for (const tile of tiles) {
+            for (let i = 0; i < snapshot.count; i++) {
+                const x = (positions[i * 2] + tile.x) * scale + offsetX;
+                const y = (positions[i * 2 + 1] + tile.y) * scale + offsetY;
+                if (x >= 0 && x < width && y >= 0 && y < height) callback(i, x, y);
+            }
+        }
+    }
+
+    // Box blur of a cols × rows grid in place, along rows then columns; `scratch` is a grid of
+    // the same size
+    blur(grid, scratch, cols, rows, radius) {
+        const width = radius * 2 + 1;
+        for (let row = 0; row < rows; row++) {
+            const start = row * cols;
+            for (let col = 0; col < cols; col++) {
+                let sum = 0;
+                for (let k = Math.max(0, col - radius); k <= Math.min(cols - 1, col + radius); k++) sum += grid[start + k];
+                scratch[start + col] = sum / width;
+            }
+        }
+        for (let col = 0; col < cols; col++) {
+            for (let row = 0; row < rows; row++) {
+                let sum = 0;
+                for (let k = Math.max(0, row - radius); k <= Math.min(rows - 1, row + radius); k++) sum += scratch[k * cols + col];
+                grid[row * cols + col] = sum / width;
+            }
+        }
+    }
+
+    drawDensity(ctx, snapshot, view) {
+        const state = this.state(ctx);
+        const cols = DENSITY_COLUMNS;
+        const rows = Math.max(1, Math.round(cols * view.height / view.width));
+        const cellWidth = view.width / cols;
+        const cellHeight = view.height / rows;
+        if (!state.density || state.density.cols !== cols || state.density.rows !== rows) {
+            const canvas = document.createElement('canvas');
+            canvas.width = cols;
+            canvas.height = rows;
+            state.density = {
+                cols, rows, canvas,
+                image: canvas.getContext('2d').createImageData(cols, rows),
+                grid: new Float32Array(cols * rows),
+                scratch: new Float32Array(cols * rows)
+            };
+        }
+        const { grid, scratch, image, canvas } = state.density;
+
+        grid.fill(0);
+        this.forEachOnCanvas(snapshot, view, (i, x, y) => {
+            grid[Math.floor(y / cellHeight) * cols + Math.floor(x / cellWidth)] += snapshot.masses[i];
+        });
+        for (let pass = 0; pass < 2; pass++) this.blur(grid, scratch, cols, rows, DENSITY_BLUR_RADIUS);
+
+        // Logarithmic, so faint filaments show next to dense cores
+        let max = 0;
+        for (let cell = 0; cell < grid.length; cell++) max = Math.max(max, grid[cell]);
+        const logMax = Math.log1p(max) || 1;
+        const data = image.data;
+        const last = DENSITY_PALETTE.length - 1;
+        for (let cell = 0; cell < grid.length; cell++) {
+            const position = (Math.log1p(grid[cell]) / logMax) * last;
+            const index = Math.min(last - 1, Math.floor(position));
+            const t = position - index;
+            const from = DENSITY_PALETTE[index];
+            const to = DENSITY_PALETTE[index + 1];
+            data[cell * 4] = from[0] + (to[0] - from[0]) * t;
+            data[cell * 4 + 1] = from[1] + (to[1] - from[1]) * t;
+            data[cell * 4 + 2] = from[2] + (to[2] - from[2]) * t;
+            data[cell * 4 + 3] = 255;
+        }
+        canvas.getContext('2d').putImageData(image, 0, 0);
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(canvas, 0, 0, view.width, view.height);
+        ctx.restore();
+    }
+
+    // Softened potential, -Σ m / sqrt(r² + s²), sampled at the corners of a grid over the
+    // canvas. Gravity's strength only scales it, so it is left out. Sources are the particles'
+    // mass binned over the box (across the wrapping edges when it wraps) or, when it does not
+    // wrap, over wherever the particles are, each acting from its center of mass and softened
+    // by the size of its cell.
+    computePotential(snapshot, view) {
+        const { camera, simulationWidth: boxWidth, simulationHeight: boxHeight } = this.renderer;
+        const { positions, masses, count } = snapshot;
+        const wraps = camera.wraps;
+
+        let left = 0, top = 0, spanWidth = boxWidth, spanHeight = boxHeight;
+        if (!wraps) {
+            let right = -Infinity, bottom = -Infinity;
+            left = Infinity;
+            top = Infinity;
+            for (let i = 0; i < count; i++) {
+                left = Math.min(left, positions[i * 2]);
+                right = Math.max(right, positions[i * 2]);
+                top = Math.min(top, positions[i * 2 + 1]);
+                bottom = Math.max(bottom, positions[i * 2 + 1]);
+            }
+            spanWidth = Math.max(right - left, 1);
+            spanHeight = Math.max(bottom - top, 1);
+        }
+        const sourceSize = Math.max(spanWidth, spanHeight) / POTENTIAL_SOURCE_COLUMNS;
+        const sourceCols = Math.max(1, Math.ceil(spanWidth / sourceSize));
+        const sourceRows = Math.max(1, Math.ceil(spanHeight / sourceSize));
+        const sourceMass = new Float64Array(sourceCols * sourceRows);
+        const sourceX = new Float64Array(sourceCols * sourceRows);
+        const sourceY = new Float64Array(sourceCols * sourceRows);
+        for (let i = 0; i < count; i++) {
+            const x = positions[i * 2];
+            const y = positions[i * 2 + 1];
+            const col = Math.min(sourceCols - 1, Math.max(0, Math.floor((x - left) / sourceSize)));
+            const row = Math.min(sourceRows - 1, Math.max(0, Math.floor((y - top) / sourceSize)));
+            const cell = row * sourceCols + col;
+            sourceMass[cell] += masses[i];
+            sourceX[cell] += masses[i] * x;
+            sourceY[cell] += masses[i] * y;
+        }
+        // Compacted to the occupied cells, the only ones the sum below visits
+        let sourceCount = 0;
+        for (let cell = 0; cell < sourceMass.length; cell++) {
+            const mass = sourceMass[cell];
+            if (mass === 0) continue;
+            sourceX[sourceCount] = sourceX[cell] / mass;
+            sourceY[sourceCount] = sourceY[cell] / mass;
+            sourceMass[sourceCount] = mass;
+            sourceCount++;
+        }
+        const halfWidth = boxWidth / 2;
+        const halfHeight = boxHeight / 2;
+
+        const cols = POTENTIAL_COLUMNS;
+        const rows = Math.max(1, Math.round(cols * view.height / view.width));
+        const cellWidth = view.width / cols;
+        const cellHeight = view.height / rows;
+        const values = new Float64Array((cols + 1) * (rows + 1));
+        const softeningSq = sourceSize * sourceSize;
+        let min = Infinity, max = -Infinity;
+        for (let row = 0; row <= rows; row++) {
+            const y = (row * cellHeight - view.offsetY) / view.scale;
+            for (let col = 0; col <= cols; col++) {
+                const x = (col * cellWidth - view.offsetX) / view.scale;
+                let potential = 0;
+                // Into the box, so that one correction below finds a source's nearest image
+                const px = wraps ? x - Math.floor(x / boxWidth) * boxWidth : x;
+                const py = wraps ? y - Math.floor(y / boxHeight) * boxHeight : y;
+                for (let k = 0; k < sourceCount; k++) {
+                    let dx = sourceX[k] - px;
+                    let dy = sourceY[k] - py;
+                    if (wraps) {
+                        if (dx > halfWidth) dx -= boxWidth; else if (dx < -halfWidth) dx += boxWidth;
+                        if (dy > halfHeight) dy -= boxHeight; else if (dy < -halfHeight) dy += boxHeight;
+                    }
+                    potential -= sourceMass[k] / Math.sqrt(dx * dx + dy * dy + softeningSq);
+                }
+                values[row * (cols + 1) + col] = potential;
+                min = Math.min(min, potential);
+                max = Math.max(max, potential);
+            }
+        }
+        return { cols, rows, cellWidth, cellHeight, values, min, max };
+    }
+
+    drawPotential(ctx, snapshot, view) {
+        const state = this.state(ctx);
+        // Only a new snapshot or a moved view changes the field
+        const key = [snapshot.age, snapshot.count, view.scale, view.offsetX, view.offsetY, view.width, view.height].join();
+        if (state.potentialKey !== key) {
+            state.potential = snapshot.count > 0 ? this.computePotential(snapshot, view) : null;
+            state.potentialKey = key;
+        }
+        const field = state.potential;
+        if (!field || field.max - field.min < 1e-12) return;
+
+        const { cols, rows, cellWidth, cellHeight, values, min, max } = field;
+        const stride = cols + 1;
+        ctx.save();
+        ctx.lineWidth = 1.2;
+        for (let level = 0; level < POTENTIAL_LEVELS; level++) {
+            const value = min + ((level + 0.5) / POTENTIAL_LEVELS) * (max - min);
+            // Deep wells warm, the shallow outskirts cool
+            ctx.strokeStyle = `hsl(${20 + 200 * level / (POTENTIAL_LEVELS - 1)}, 90%, 60%)`;
+            ctx.beginPath();
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const a = values[row * stride + col];
+                    const b = values[row * stride + col + 1];
+                    const c = values[(row + 1) * stride + col + 1];
+                    const d = values[(row + 1) * stride + col];
+                    const index = (a > value ? 8 : 0) | (b > value ? 4 : 0) | (c > value ? 2 : 0) | (d > value ? 1 : 0);
+                    const segments = MARCHING_SQUARES_SEGMENTS[index];
+                    if (segments.length === 0) continue;
+
+                    // Where the level crosses each edge, interpolated between its corners
+                    const x = col * cellWidth;
+                    const y = row * cellHeight;
+                    const crossing = (edge) => {
+                        if (edge === 0) return [x + cellWidth * (value - a) / (b - a), y];
+                        if (edge === 1) return [x + cellWidth, y + cellHeight * (value - b) / (c - b)];
+                        if (edge === 2) return [x + cellWidth * (value - d) / (c - d), y + cellHeight];
+                        return [x, y + cellHeight * (value - a) / (d - a)];
+                    };
+                    for (const [from, to] of segments) {
+                        ctx.moveTo(...crossing(from));
+                        ctx.lineTo(...crossing(to));
+                    }
+                }
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    drawStreamlines(ctx, snapshot, view) {
+        const cols = STREAMLINE_COLUMNS;
+        const rows = Math.max(1, Math.round(cols * view.height / view.width));
+        const cellWidth = view.width / cols;
+        const cellHeight = view.height / rows;
+        const mass = new Float32Array(cols * rows);
+        const momentumX = new Float32Array(cols * rows);
+        const momentumY = new Float32Array(cols * rows);
+        const scratch = new Float32Array(cols * rows);
+
+        this.forEachOnCanvas(snapshot, view, (i, x, y) => {
+            const cell = Math.floor(y / cellHeight) * cols + Math.floor(x / cellWidth);
+            const m = snapshot.masses[i];
+            mass[cell] += m;
+            momentumX[cell] += m * snapshot.velocities[i * 2];
+            momentumY[cell] += m * snapshot.velocities[i * 2 + 1];
+        });
+        this.blur(mass, scratch, cols, rows, 1);
+        this.blur(momentumX, scratch, cols, rows, 1);
+        this.blur(momentumY, scratch, cols, rows, 1);
+
+        // Bilinear sample at a point in cell units, cell centers at half-integers
+        const sample = (grid, x, y) => {
+            const gx = Math.min(cols - 1, Math.max(0, x - 0.5));
+            const gy = Math.min(rows - 1, Math.max(0, y - 0.5));
+            const col = Math.min(cols - 2, Math.floor(gx));
+            const row = Math.min(rows - 2, Math.floor(gy));
+            if (col < 0 || row < 0) return grid[Math.max(0, row) * cols + Math.max(0, col)];
+            const tx = gx - col;
+            const ty = gy - row;
+            const top = grid[row * cols + col] * (1 - tx) + grid[row * cols + col + 1] * tx;
+            const bottom = grid[(row + 1) * cols + col] * (1 - tx) + grid[(row + 1) * cols + col + 1] * tx;
+            return top * (1 - ty) + bottom * ty;
+        };
+
+        // Half-cell steps along the flow from (x, y), forwards or backwards
+        const trace = (x, y, direction, points) => {
+            for (let step = 0; step < STREAMLINE_STEPS; step++) {
+                const m = sample(mass, x, y);
+                if (m < STREAMLINE_MIN_MASS) break;
+                const vx = sample(momentumX, x, y) / m;
+                const vy = sample(momentumY, x, y) / m;
+                const speed = Math.hypot(vx, vy);
+                if (speed < 1e-9) break;
+                x += direction * 0.5 * vx / speed;
+                y += direction * 0.5 * vy / speed;
+                if (x < 0 || x > cols || y < 0 || y > rows) break;
+                points.push(x, y);
+            }
+        };
+
+        ctx.save();
+        ctx.lineWidth = 1.2;
+        ctx.globalAlpha = 0.8;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = row * cols + col;
+                if (mass[cell] < STREAMLINE_MIN_MASS) continue;
+
+                const backward = [];
+                const forward = [];
+                trace(col + 0.5, row + 0.5, -1, backward);
+                trace(col + 0.5, row + 0.5, 1, forward);
+                if (forward.length < 2) continue;
+
+                ctx.strokeStyle = this.renderer.velocityToColor(momentumX[cell] / mass[cell], momentumY[cell] / mass[cell]);
+                ctx.beginPath();
+                ctx.moveTo((col + 0.5) * cellWidth, (row + 0.5) * cellHeight);
+                for (let k = 0; k < backward.length; k += 2) ctx.lineTo(backward[k] * cellWidth, backward[k + 1] * cellHeight);
+                ctx.moveTo((col + 0.5) * cellWidth, (row + 0.5) * cellHeight);
+                for (let k = 0; k < forward.length; k += 2) ctx.lineTo(forward[k] * cellWidth, forward[k + 1] * cellHeight);
+                ctx.stroke();
+
+                // A dot where the flow goes, so its direction reads at a glance
+                const headX = forward[forward.length - 2] * cellWidth;
+                const headY = forward[forward.length - 1] * cellHeight;
+                ctx.fillStyle = ctx.strokeStyle;
+                ctx.fillRect(headX - 1.5, headY - 1.5, 3, 3);
+            }
+        }
+        ctx.restore();
+    }
+
+    // Fade the trail buffer, draw the particles onto it with `drawParticles(trailCtx)` and
+    // copy it to `ctx`. The buffer moves with the camera; zooming or a new universe clears it.
+    drawTrails(ctx, snapshot, view, drawParticles) {
+        const state = this.state(ctx);
+        const { width, height, scale, offsetX, offsetY } = view;
+        if (!state.trail || state.trail.width !== width || state.trail.height !== height) {
+            state.trail = document.createElement('canvas');
+            state.trail.width = width;
+            state.trail.height = height;
+            state.trailView = null;
+        }
+        const trail = state.trail;
+        const trailCtx = trail.getContext('2d');
+        const last = state.trailView;
+
+        if (!last || last.scale !== scale || snapshot.age < state.trailAge) {
+            trailCtx.clearRect(0, 0, width, height);
+        } else if (last.offsetX !== offsetX || last.offsetY !== offsetY) {
+            let dx = offsetX - last.offsetX;
+            let dy = offsetY - last.offsetY;
+            // A view that wrapped across the box shows the same picture, one box over
+            if (this.renderer.camera.wraps) {
+                const periodX = this.renderer.simulationWidth * scale;
+                const periodY = this.renderer.simulationHeight * scale;
+                dx -= Math.round(dx / periodX) * periodX;
+                dy -= Math.round(dy / periodY) * periodY;
+            }
+            trailCtx.save();
+            trailCtx.globalCompositeOperation = 'copy';
+            trailCtx.drawImage(trail, dx, dy);
+            trailCtx.restore();
+        }
+        state.trailView = { scale, offsetX, offsetY };
+        state.trailAge = snapshot.age;
+
+        trailCtx.save();
+        trailCtx.globalCompositeOperation = 'destination-out';
+        trailCtx.fillStyle = `rgba(0, 0, 0, ${TRAIL_FADE})`;
+        trailCtx.fillRect(0, 0, width, height);
+        trailCtx.restore();
+
+        drawParticles(trailCtx);
+        ctx.drawImage(trail, 0, 0);
+    }
+}
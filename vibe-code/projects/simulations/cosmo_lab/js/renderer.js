@@ -1,17 +1,40 @@
+const SELECTION_TRAIL_LENGTH = 600; // Positions of the selected particle kept for its trail
+const PARTICLE_MIN_RADIUS = 0.75;   // Pixels; smaller particles are drawn this size, fainter
+// Particle colors by velocity or kinetic energy, the modes of js/renderLayers.js, and glow
+const RENDER_MODES = ['velocity', 'kinetic', 'density', 'potential', 'streamlines', 'trails', 'glow'];
+// Outline of the box for each boundary mode: the seams between copies of a periodic box, or
+// the walls of a bounded one. Open space has none.
+const BOUNDARY_EDGE_COLORS = {
+    periodic: 'rgba(126, 207, 255, 0.25)',
+    reflective: 'rgba(126, 207, 255, 0.6)',
+    absorbing: 'rgba(255, 107, 107, 0.6)'
+};
+
 class Renderer {
+    // `simulation` is the SimulationClient; particles come in through draw(snapshot)
     constructor(canvasId, simulation) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.simulation = simulation;
         // Default to velocity if gravity was previously selected somehow
-        this.colorMode = "velocity"; // "velocity", "kinetic"
+        this.colorMode = "velocity"; // One of RENDER_MODES
         // Store the fixed simulation dimensions used for coordinates
         // Ensure these match the values set in main.js
         this.simulationWidth = simulation.params.width;
         this.simulationHeight = simulation.params.height;
+        this.camera = new Camera(this.simulationWidth, this.simulationHeight);
+        this.selectedId = null;  // Id of the selected particle (see js/worker.js), followed across snapshots
+        this.selectedIndex = -1; // Its index in the latest snapshot
+        this.selectedTrail = []; // Its positions, one per snapshot, oldest first
+        this.trailAge = -1;      // Age of the last position added to the trail
+        this.overlay = null;     // Drawn over the particles on screen only, see js/tools.js
+        this.layers = new RenderLayers(this);
+        // Particles drawn with WebGL2 where there is one, see js/particleSprites.js
+        this.sprites = WebGLParticleSprites.create() || new CanvasParticleSprites();
+        this.instances = new Float32Array(0); // The particles in view, laid out for this.sprites
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
-        this.addClickListener(); // Add this line
+        this.addZoomListener();
     }
 
     resizeCanvas() {
@@ -25,102 +48,387 @@ class Renderer {
 
     setColorMode(mode) {
         // Ensure mode is valid after removing gravity
-        if (mode === "velocity" || mode === "kinetic") {
+        if (RENDER_MODES.includes(mode)) {
             this.colorMode = mode;
         } else {
             this.colorMode = "velocity"; // Default fallback
         }
+        this.layers.clear(); // Trails of the previous mode would linger
+    }
+
+    // Draw particles with 'webgl' where available, or 'canvas'; returns the one in use
+    setBackend(name) {
+        if (name !== this.sprites.name) {
+            this.sprites = (name === 'webgl' && WebGLParticleSprites.create()) || new CanvasParticleSprites();
+        }
+        return this.sprites.name;
     }
 
     velocityToColor(vx, vy) {
+        return `hsl(${this.velocityHue(vx, vy)}, 100%, 70%)`;
+    }
+
+    // Blue when still, through green and yellow to red at high speed
+    velocityHue(vx, vy) {
         const speed = Math.sqrt(vx * vx + vy * vy);
         const maxSpeed = 5.0;
         const ratio = Math.min(speed / maxSpeed, 1.0);
-        const hue = (1.0 - ratio) * 240;
-        return `hsl(${hue}, 100%, 70%)`;
+        return (1.0 - ratio) * 240;
     }
 
-    kineticToColor(vx, vy, mass) {
+    kineticHue(vx, vy, mass) {
         const ke = 0.5 * mass * (vx * vx + vy * vy);
         const maxKE = 5.0; // Tune for best visual effect
         const ratio = Math.min(ke / maxKE, 1.0);
-        const hue = (1.0 - ratio) * 120; // 120 (green) to 0 (red)
-        return `hsl(${hue}, 100%, 70%)`;
-    }
-
-    addClickListener() {
-        this.canvas.addEventListener('click', (event) => {
-            // Get click coordinates relative to the canvas element
-            const rect = this.canvas.getBoundingClientRect();
-            const canvasX = event.clientX - rect.left;
-            const canvasY = event.clientY - rect.top;
-
-            // Reverse the scaling and translation applied during drawing
-            const scaleX = this.canvas.width / this.simulationWidth;
-            const scaleY = this.canvas.height / this.simulationHeight;
-            const scale = Math.min(scaleX, scaleY);
-            const scaledWidth = this.simulationWidth * scale;
-            const scaledHeight = this.simulationHeight * scale;
-            const offsetX = (this.canvas.width - scaledWidth) / 2;
-            const offsetY = (this.canvas.height - scaledHeight) / 2;
-
-            // Convert canvas coordinates back to simulation coordinates
-            const simX = (canvasX - offsetX) / scale;
-            const simY = (canvasY - offsetY) / scale;
-
-            // Check if the click is within the bounds of the scaled simulation area
-            if (simX >= 0 && simX <= this.simulationWidth && simY >= 0 && simY <= this.simulationHeight) {
-                // Add a small cluster of particles at the simulation coordinates
-                this.simulation.addParticleCluster(simX, simY, 10, 15); // Add 10 particles in a 15-unit spread
+        return (1.0 - ratio) * 120; // 120 (green) to 0 (red)
+    }
+
+    // Canvas pixel under a mouse or pointer event
+    canvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    // Mouse wheel zooms about the cursor; the other pointer input is js/tools.js's
+    addZoomListener() {
+        this.canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const point = this.canvasPoint(event);
+            const factor = event.deltaY < 0 ? CAMERA_WHEEL_ZOOM : 1 / CAMERA_WHEEL_ZOOM;
+            this.camera.zoomAt(point.x, point.y, factor, this.canvas.width, this.canvas.height);
+        }, { passive: false });
+    }
+
+    // Select the body nearest to a point, within maxDistance (simulation units, measured across
+    // the wrapping edges of a periodic box); selects nothing if there is none
+    selectNearest(snapshot, x, y, maxDistance) {
+        this.clearSelection();
+        if (!snapshot) return;
+
+        let nearest = -1;
+        let nearestDistanceSq = maxDistance * maxDistance;
+        for (let i = 0; i < snapshot.count; i++) {
+            const distanceSq = this.wrappedDistanceSq(snapshot.positions[i * 2] - x, snapshot.positions[i * 2 + 1] - y);
+            if (distanceSq <= nearestDistanceSq) {
+                nearest = i;
+                nearestDistanceSq = distanceSq;
             }
-        });
+        }
+        if (nearest >= 0) {
+            this.selectIndex(snapshot, nearest);
+            this.extendTrail(snapshot);
+        }
+    }
+
+    selectIndex(snapshot, index) {
+        this.selectedId = snapshot.ids[index];
+        this.selectedIndex = index;
+        this.selectedX = snapshot.positions[index * 2];
+        this.selectedY = snapshot.positions[index * 2 + 1];
+        this.selectedRadius = snapshot.radii[index];
+    }
+
+    clearSelection() {
+        this.selectedId = null;
+        this.selectedIndex = -1;
+        this.selectedTrail = [];
+        this.trailAge = -1;
+    }
+
+    extendTrail(snapshot) {
+        if (snapshot.age === this.trailAge) return;
+        this.trailAge = snapshot.age;
+        this.selectedTrail.push({ x: this.selectedX, y: this.selectedY });
+        if (this.selectedTrail.length > SELECTION_TRAIL_LENGTH) {
+            this.selectedTrail.shift();
+        }
+    }
+
+    // Find the selected particle in a new snapshot. When it has merged into another body, the
+    // selection moves to that body: the one now overlapping where it was last seen.
+    updateSelection(snapshot) {
+        if (this.selectedId === null || !snapshot) return;
+
+        const { ids, count } = snapshot;
+        if (this.selectedIndex < count && ids[this.selectedIndex] === this.selectedId) {
+            this.selectIndex(snapshot, this.selectedIndex);
+            this.extendTrail(snapshot);
+            return;
+        }
+        for (let i = 0; i < count; i++) {
+            if (ids[i] === this.selectedId) {
+                this.selectIndex(snapshot, i);
+                this.extendTrail(snapshot);
+                return;
+            }
+        }
+
+        let absorber = -1;
+        for (let i = 0; i < count; i++) {
+            const reach = snapshot.radii[i] + this.selectedRadius;
+            const distanceSq = this.wrappedDistanceSq(snapshot.positions[i * 2] - this.selectedX, snapshot.positions[i * 2 + 1] - this.selectedY);
+            if (distanceSq <= reach * reach && (absorber < 0 || snapshot.masses[i] > snapshot.masses[absorber])) {
+                absorber = i;
+            }
+        }
+        if (absorber >= 0) {
+            this.selectIndex(snapshot, absorber);
+            this.extendTrail(snapshot);
+        } else {
+            this.clearSelection();
+        }
     }
 
-    draw() {
-        const ctx = this.ctx;
-        const canvasWidth = this.canvas.width;
-        const canvasHeight = this.canvas.height;
+    wrappedDistanceSq(dx, dy) {
+        if (this.camera.wraps) {
+            dx -= Math.round(dx / this.simulationWidth) * this.simulationWidth;
+            dy -= Math.round(dy / this.simulationHeight) * this.simulationHeight;
+        }
+        return dx * dx + dy * dy;
+    }
 
-        // Calculate scale factors for width and height
-        const scaleX = canvasWidth / this.simulationWidth;
-        const scaleY = canvasHeight / this.simulationHeight;
+    // Track the selection and move a following camera to a new snapshot
+    updateView(snapshot) {
+        this.camera.setBoundary(this.simulation.params.boundary || 'periodic');
+        this.updateSelection(snapshot);
+        this.camera.update(snapshot, this.selectedIndex);
+    }
 
-        // Use the smaller scale factor to maintain aspect ratio (fit inside)
-        const scale = Math.min(scaleX, scaleY);
+    // Draw a snapshot posted by js/worker.js; nothing but the background without one
+    draw(snapshot) {
+        this.updateView(snapshot);
+        this.render(this.ctx, this.canvas.width, this.canvas.height, snapshot);
 
-        // Calculate the size of the scaled simulation drawing
-        const scaledWidth = this.simulationWidth * scale;
-        const scaledHeight = this.simulationHeight * scale;
+        if (this.overlay) {
+            const { scale, offsetX, offsetY } = this.camera.transform(this.canvas.width, this.canvas.height);
+            this.ctx.save();
+            this.ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+            this.overlay.drawOverlay(this.ctx, scale);
+            this.ctx.restore();
+        }
+    }
 
-        // Calculate offsets to center the drawing within the canvas element
-        const offsetX = (canvasWidth - scaledWidth) / 2;
-        const offsetY = (canvasHeight - scaledHeight) / 2;
+    // Draw a snapshot through the camera into any 2D context of the given size, such as the
+    // recorder's off-screen frames (js/recorder.js)
+    render(ctx, canvasWidth, canvasHeight, snapshot) {
+        const { scale, offsetX, offsetY } = this.camera.transform(canvasWidth, canvasHeight);
+        const tiles = this.camera.visibleTiles(canvasWidth, canvasHeight);
+        const view = { scale, offsetX, offsetY, width: canvasWidth, height: canvasHeight, tiles };
+        const mode = this.colorMode;
 
         // Clear canvas
         ctx.fillStyle = 'black';
         ctx.fillRect(0, 0, canvasWidth, canvasHeight);
 
+        // Modes drawn over the whole canvas at once, under the particles (js/renderLayers.js)
+        if (snapshot && snapshot.count > 0) {
+            if (mode === 'density') {
+                this.layers.drawDensity(ctx, snapshot, view);
+            } else if (mode === 'potential') {
+                this.layers.drawPotential(ctx, snapshot, view);
+            } else if (mode === 'streamlines') {
+                this.layers.drawStreamlines(ctx, snapshot, view);
+            } else if (mode === 'trails') {
+                this.layers.drawTrails(ctx, snapshot, view, (trailCtx) => this.drawParticles(trailCtx, snapshot, view));
+            }
+        }
+
+        // Each copy of the box in view: its grid and edges under the particles, the selection over them
+        const count = snapshot ? snapshot.count : 0;
+        this.forEachTile(ctx, view, () => {
+            if (snapshot && snapshot.grid) {
+                this.drawGridOverlay(ctx, snapshot);
+            }
+            // Where one copy of the box ends and the next begins, or its walls
+            const edgeColor = BOUNDARY_EDGE_COLORS[this.camera.boundary];
+            if (edgeColor && !(this.camera.wraps && this.camera.isHome)) {
+                ctx.strokeStyle = edgeColor;
+                ctx.lineWidth = 1 / scale;
+                ctx.strokeRect(0, 0, this.simulationWidth, this.simulationHeight);
+            }
+        });
+
+        // The heatmap stands in for the particles, and the trail buffer already holds them
+        if (count > 0 && mode !== 'density' && mode !== 'trails') {
+            this.drawParticles(ctx, snapshot, view);
+        }
+
+        this.forEachTile(ctx, view, () => {
+            if (this.selectedId !== null && this.selectedIndex < count) {
+                this.drawTrail(ctx, scale);
+                this.drawSelection(ctx, snapshot, scale);
+            }
+        });
+
+        if (snapshot && snapshot.grid) {
+            this.drawGridLabel(ctx, snapshot);
+        }
+    }
+
+    // Call back once for every copy of the box in view, with `ctx` in that copy's simulation
+    // coordinates and the visible part of the plane, in the same coordinates, as the arguments
+    forEachTile(ctx, view, callback) {
+        const { scale, offsetX, offsetY, width, height, tiles } = view;
+
         // Save context state, apply translation and uniform scaling
         ctx.save();
-        ctx.translate(offsetX, offsetY); // Move origin to center the drawing
+        ctx.translate(offsetX, offsetY);
         ctx.scale(scale, scale); // Apply uniform scale
 
-        // Draw particles using simulation coordinates (they will be scaled uniformly)
-        for (const p of this.simulation.particles) {
-            ctx.beginPath();
-            // Use simulation coordinates for arc
-            ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
-            let color;
-            if (this.colorMode === "velocity") {
-                color = this.velocityToColor(p.vx, p.vy);
-            } else if (this.colorMode === "kinetic") {
-                color = this.kineticToColor(p.vx, p.vy, p.mass);
-            }
-            ctx.fillStyle = color;
-            ctx.fill();
+        // Visible part of the plane, in simulation units
+        const viewLeft = -offsetX / scale;
+        const viewTop = -offsetY / scale;
+        const viewRight = viewLeft + width / scale;
+        const viewBottom = viewTop + height / scale;
+
+        for (const tile of tiles) {
+            ctx.save();
+            ctx.translate(tile.x, tile.y);
+            callback(viewLeft - tile.x, viewRight - tile.x, viewTop - tile.y, viewBottom - tile.y);
+            ctx.restore();
         }
 
         // Restore context state (removes scaling and translation)
         ctx.restore();
     }
+
+    // Every copy of the particles in view, drawn in one go by this.sprites
+    drawParticles(ctx, snapshot, view) {
+        if (this.sprites.lost) this.sprites = new CanvasParticleSprites();
+        const count = this.layoutParticles(snapshot, view);
+        this.sprites.draw(ctx, this.instances, count, view.width, view.height, this.colorMode === 'glow');
+    }
+
+    // Fill this.instances with the particles in view, once per copy of the box, in canvas pixels
+    // and colored for the mode (see js/particleSprites.js); returns how many there are
+    layoutParticles(snapshot, view) {
+        const { scale, offsetX, offsetY, width, height, tiles } = view;
+        const { positions, velocities, masses, radii } = snapshot;
+        const mode = this.colorMode;
+        // Faint, so the contours and streamlines beneath stay readable
+        const alpha = mode === 'potential' || mode === 'streamlines' ? 0.35 : 1;
+
+        if (this.instances.length < snapshot.count * tiles.length * PARTICLE_FLOATS) {
+            this.instances = new Float32Array(snapshot.count * tiles.length * PARTICLE_FLOATS);
+        }
+        const instances = this.instances;
+        let count = 0;
+        for (const tile of tiles) {
+            for (let i = 0; i < snapshot.count; i++) {
+                let radius = radii[i] * scale;
+                if (mode === 'glow') radius = Math.max(radius * GLOW_RADIUS, GLOW_MIN_RADIUS);
+                const x = (positions[i * 2] + tile.x) * scale + offsetX;
+                const y = (positions[i * 2 + 1] + tile.y) * scale + offsetY;
+                if (x + radius < 0 || x - radius > width || y + radius < 0 || y - radius > height) continue;
+
+                const vx = velocities[i * 2];
+                const vy = velocities[i * 2 + 1];
+                const hue = mode === 'kinetic' ? this.kineticHue(vx, vy, masses[i]) : this.velocityHue(vx, vy);
+                const k = count * PARTICLE_FLOATS;
+                instances[k] = x;
+                instances[k + 1] = y;
+                // Too small to cover a pixel: as big as one, with the same amount of light
+                if (radius < PARTICLE_MIN_RADIUS) {
+                    instances[k + 2] = PARTICLE_MIN_RADIUS;
+                    instances[k + 6] = alpha * (radius / PARTICLE_MIN_RADIUS) ** 2;
+                } else {
+                    instances[k + 2] = radius;
+                    instances[k + 6] = alpha;
+                }
+                // hsl(hue, 100%, 70%)
+                for (let channel = 0; channel < 3; channel++) {
+                    const h = ((channel === 0 ? 0 : channel === 1 ? 8 : 4) + hue / 30) % 12;
+                    instances[k + 3 + channel] = 0.7 - 0.3 * Math.max(-1, Math.min(h - 3, 9 - h, 1));
+                }
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Where the selected particle has been, broken where it wrapped around an edge
+    drawTrail(ctx, scale) {
+        const trail = this.selectedTrail;
+        if (trail.length < 2) return;
+        const wraps = this.camera.wraps;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+        ctx.lineWidth = 1 / scale;
+        ctx.beginPath();
+        ctx.moveTo(trail[0].x, trail[0].y);
+        for (let i = 1; i < trail.length; i++) {
+            const wrapped = wraps && (Math.abs(trail[i].x - trail[i - 1].x) > this.simulationWidth / 2 ||
+                Math.abs(trail[i].y - trail[i - 1].y) > this.simulationHeight / 2);
+            if (wrapped) {
+                ctx.moveTo(trail[i].x, trail[i].y);
+            } else {
+                ctx.lineTo(trail[i].x, trail[i].y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    // Ring around the selected particle, a few pixels clear of it at any zoom
+    drawSelection(ctx, snapshot, scale) {
+        const i = this.selectedIndex;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5 / scale;
+        ctx.beginPath();
+        ctx.arc(snapshot.positions[i * 2], snapshot.positions[i * 2 + 1], snapshot.radii[i] + 5 / scale, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    // Debug view of the collision grid (js/spatialGrid.js): cell lines, and occupied cells
+    // shaded by how many particles they hold relative to the fullest one
+    drawGridOverlay(ctx, snapshot) {
+        const { cols, rows, left, top, cellWidth, cellHeight } = snapshot.grid;
+        const occupancy = snapshot.occupancy;
+        const right = left + cols * cellWidth;
+        const bottom = top + rows * cellHeight;
+        const maxCount = this.maxOccupancy(snapshot);
+
+        for (let cell = 0; cell < cols * rows; cell++) {
+            const count = occupancy[cell];
+            if (count === 0) continue;
+            const x = left + (cell % cols) * cellWidth;
+            const y = top + Math.floor(cell / cols) * cellHeight;
+            ctx.fillStyle = `rgba(255, 170, 60, ${0.15 + 0.6 * count / maxCount})`;
+            ctx.fillRect(x, y, cellWidth, cellHeight);
+        }
+
+        // Lines only while cells are big enough on screen to tell apart
+        const lineWidth = 1 / ctx.getTransform().a;
+        if (cellWidth / lineWidth >= 6) {
+            ctx.strokeStyle = 'rgba(126, 207, 255, 0.15)';
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            for (let col = 1; col < cols; col++) {
+                ctx.moveTo(left + col * cellWidth, top);
+                ctx.lineTo(left + col * cellWidth, bottom);
+            }
+            for (let row = 1; row < rows; row++) {
+                ctx.moveTo(left, top + row * cellHeight);
+                ctx.lineTo(right, top + row * cellHeight);
+            }
+            ctx.stroke();
+        }
+    }
+
+    // The grid's size and fullest cell, in the canvas corner
+    drawGridLabel(ctx, snapshot) {
+        const { cols, rows, cellWidth } = snapshot.grid;
+        ctx.fillStyle = '#7ecfff';
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${cols}×${rows} cells of ${cellWidth.toFixed(1)}, up to ${this.maxOccupancy(snapshot)} per cell`, 6, 6);
+    }
+
+    maxOccupancy(snapshot) {
+        const { cols, rows } = snapshot.grid;
+        let maxCount = 0;
+        for (let cell = 0; cell < cols * rows; cell++) {
+            if (snapshot.occupancy[cell] > maxCount) maxCount = snapshot.occupancy[cell];
+        }
+        return maxCount;
+    }
 }
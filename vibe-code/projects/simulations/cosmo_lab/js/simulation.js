@@ -1,3 +1,16 @@
+const GRAVITY_SOFTENING = 2.0; // Prevent singularity at very close range
+const FRAGMENT_COUNT_MAX = 6;     // Most pieces a shattering collision produces
+const FRAGMENT_MIN_MASS = 1;      // Bodies are never broken below the mass of a dust particle
+const FRAGMENT_KICK_FRACTION = 0.5; // Share of the impact energy left in the fragments' motion
+const ADAPTIVE_STEP_ETA = 0.25;   // Adaptive sub-steps keep dt below ETA * sqrt(softening / max acceleration)
+const MAX_SUBSTEPS = 16;          // Most sub-steps a single frame is split into
+const FORCE_ERROR_PAIR_BUDGET = 200000; // Exact pair forces measureForceError() may evaluate
+const FORCE_ERROR_MIN_SAMPLES = 8;      // Particles it samples however many there are
+
+// Particles keep their id for life, while their index changes as collisions remove others, so
+// the page can keep track of one across snapshots
+let nextParticleId = 0;
+
 class Particle {
     constructor(x, y, vx = 0, vy = 0, mass = 1, color = 'white') {
         this.x = x;
@@ -6,9 +19,12 @@ class Particle {
         this.vy = vy;
         this.mass = mass;
         this.color = color;
+        this.id = nextParticleId++;
         this.radius = 2;
         this.fx = 0;
         this.fy = 0;
+        this.ax = 0; // Acceleration from the last force evaluation
+        this.ay = 0;
     }
 
     applyForce(fx, fy) {
@@ -16,29 +32,62 @@ class Particle {
         this.fy += fy;
     }
 
-    update(dt, params) {
-        // Apply accumulated forces
-        const ax = this.fx / this.mass;
-        const ay = this.fy / this.mass;
+    // Turn the accumulated forces into the acceleration and reset them for the next evaluation
+    resolveAcceleration() {
+        this.ax = this.fx / this.mass;
+        this.ay = this.fy / this.mass;
+        this.fx = 0;
+        this.fy = 0;
+    }
 
-        this.vx += ax * dt;
-        this.vy += ay * dt;
+    // Semi-implicit Euler: the new velocity moves the particle
+    update(dt, params) {
+        this.kick(dt);
+        this.drift(dt, params);
+    }
 
+    kick(dt) {
+        this.vx += this.ax * dt;
+        this.vy += this.ay * dt;
         // No max speed limit
+    }
 
+    drift(dt, params) {
         this.x += this.vx * dt;
         this.y += this.vy * dt;
 
-        // Reset forces for next step
-        this.fx = 0;
-        this.fy = 0;
-
-        // Basic boundary wrapping (toroidal universe)
         // Ensure particles stay within bounds after position update, before next step's collision check
-        if (this.x < 0) this.x += params.width;
-        if (this.x > params.width) this.x -= params.width;
-        if (this.y < 0) this.y += params.height;
-        if (this.y > params.height) this.y -= params.height;
+        applyBoundary(this, params);
+    }
+}
+
+// Apply params.boundary to a particle that has moved:
+// - periodic: leaving through one edge enters through the opposite one (a toroidal universe)
+// - reflective: the walls mirror it back, turning its velocity inwards
+// - absorbing and open: it carries on. Particles past an absorbing edge are removed after the
+//   step (Simulation.removeAbsorbed); open space has no edges at all.
+function applyBoundary(p, params) {
+    const { width, height } = params;
+    if (params.boundary === 'periodic') {
+        if (p.x < 0) p.x += width;
+        if (p.x > width) p.x -= width;
+        if (p.y < 0) p.y += height;
+        if (p.y > height) p.y -= height;
+    } else if (params.boundary === 'reflective') {
+        if (p.x < 0) {
+            p.x = Math.min(-p.x, width);
+            p.vx = Math.abs(p.vx);
+        } else if (p.x > width) {
+            p.x = Math.max(2 * width - p.x, 0);
+            p.vx = -Math.abs(p.vx);
+        }
+        if (p.y < 0) {
+            p.y = Math.min(-p.y, height);
+            p.vy = Math.abs(p.vy);
+        } else if (p.y > height) {
+            p.y = Math.max(2 * height - p.y, 0);
+            p.vy = -Math.abs(p.vy);
+        }
     }
 }
 
@@ -49,12 +98,34 @@ class Simulation {
         this.age = 0;
         this.isRunning = false;
         this.tempGravityMod = 1.0;
+        this.tempAttractor = null; // { x, y, mass, radius } while the attractor tool is held
         this.params.width = params.width || 1000; // Default width
         this.params.height = params.height || 750; // Default height
         this.params.mode = params.mode || 'random'; // Add mode parameter
+        this.params.genesis = params.genesis ?? null; // Components of the 'custom' mode, see js/genesis.js
+        this.params.boundary = params.boundary || 'periodic'; // 'periodic', 'reflective', 'absorbing' or 'open', see applyBoundary
+        this.params.forceSolver = params.forceSolver || 'barnes_hut'; // 'barnes_hut' or 'exact'
+        this.params.theta = params.theta ?? 0.7; // Barnes–Hut opening angle, 0 = exact
+        this.params.collisionModel = params.collisionModel || 'elastic'; // 'elastic', 'merge' or 'fragment'
+        this.params.restitution = params.restitution ?? 0.8; // 1 = perfectly elastic bounces
+        this.params.fragmentationEnergy = params.fragmentationEnergy ?? 0.5; // Impact energy per unit mass that shatters bodies
+        this.quadTree = new QuadTree(this.params.width, this.params.height);
+        this.grid = new SpatialGrid(this.params.width, this.params.height);
+        this.params.integrator = params.integrator || 'leapfrog'; // 'euler', 'leapfrog' or 'rk4'
+        this.params.adaptiveSteps = params.adaptiveSteps ?? false; // Split steps where accelerations are high
+        this.referenceEnergy = null; // Total energy the drift is measured against
+        this.accelerationsFresh = false; // Particle accelerations match the current positions and physics
+        this.substeps = 1; // Sub-steps taken by the last step
+        this.rk4State = null; // Reused RK4 buffers, see integrateRK4()
+        this.syncGeometry();
         this.initParticles();
     }
 
+    // Whether distances are measured across the wrapping edges (the minimum image convention)
+    get periodic() {
+        return this.params.boundary === 'periodic';
+    }
+
     simplePRNG(seed) {
         // Accepts number seed
         let h = 1779033703 ^ seed;
@@ -252,6 +323,18 @@ class Simulation {
                 }
                 break;
 
+            case 'custom': {
+                const genesis = normalizeGenesis(this.params.genesis, width, height);
+                const options = { gravity: this.params.gravity, softening: GRAVITY_SOFTENING };
+                generateGenesis(genesis, random, options, (x, y, vx, vy, mass, radius) => {
+                    const particle = new Particle(x, y, vx, vy, mass);
+                    particle.radius = radius;
+                    this.wrap(particle);
+                    this.particles.push(particle);
+                });
+                break;
+            }
+
             case 'random':
             default: // Default to random
                 for (let i = 0; i < numParticles; i++) {
@@ -264,10 +347,45 @@ class Simulation {
                 break;
         }
         this.age = 0;
+        this.referenceEnergy = null;
+        this.accelerationsFresh = false;
     }
 
     applyForces() {
+        if (this.params.forceSolver === 'exact') {
+            this.applyForcesExact();
+        } else {
+            this.applyForcesBarnesHut();
+        }
+    }
+
+    // Evaluate gravity at the current positions into every particle's ax/ay
+    computeAccelerations() {
+        this.applyForces();
+        if (this.tempAttractor) this.applyTempAttractor();
+        for (const p of this.particles) {
+            p.resolveAcceleration();
+        }
+        this.accelerationsFresh = true;
+    }
+
+    // Approximate gravity in O(n log n), see js/quadTree.js
+    applyForcesBarnesHut() {
         const G = this.params.gravity * this.tempGravityMod;
+        const tree = this.quadTree;
+        const force = [0, 0, 0];
+
+        tree.build(this.particles);
+        for (let i = 0; i < this.particles.length; i++) {
+            tree.computeForce(i, G, GRAVITY_SOFTENING, this.params.theta, force);
+            this.particles[i].applyForce(force[0], force[1]);
+        }
+    }
+
+    // Exact all-pairs gravity, O(n^2)
+    applyForcesExact() {
+        const G = this.params.gravity * this.tempGravityMod;
+        const periodic = this.periodic;
         for (let i = 0; i < this.particles.length; i++) {
             for (let j = i + 1; j < this.particles.length; j++) {
                 const p1 = this.particles[i];
@@ -277,10 +395,10 @@ class Simulation {
                 let dy = p2.y - p1.y;
 
                 // Toroidal distance check
-                if (Math.abs(dx) > this.params.width / 2) {
+                if (periodic && Math.abs(dx) > this.params.width / 2) {
                     dx = dx > 0 ? dx - this.params.width : dx + this.params.width;
                 }
-                if (Math.abs(dy) > this.params.height / 2) {
+                if (periodic && Math.abs(dy) > this.params.height / 2) {
                     dy = dy > 0 ? dy - this.params.height : dy + this.params.height;
                 }
 
@@ -288,7 +406,7 @@ class Simulation {
                 const dist = Math.sqrt(distSq);
 
                 // Gravity (Attractive) - always squared law, no cutoff
-                const softening = 2.0; // Prevent singularity at very close range
+                const softening = GRAVITY_SOFTENING;
                 const forceMagGravity = (G * p1.mass * p2.mass) / (distSq + softening * softening);
                 const fgx = forceMagGravity * (dx / (dist + 1e-8));
                 const fgy = forceMagGravity * (dy / (dist + 1e-8));
@@ -299,65 +417,298 @@ class Simulation {
         }
     }
 
+    // Exact gravity on a single particle, the reference measureForceError() compares against
+    exactForceOn(index) {
+        const G = this.params.gravity * this.tempGravityMod;
+        const softeningSq = GRAVITY_SOFTENING * GRAVITY_SOFTENING;
+        const p1 = this.particles[index];
+        const periodic = this.periodic;
+        let fx = 0;
+        let fy = 0;
+
+        for (let j = 0; j < this.particles.length; j++) {
+            if (j === index) continue;
+            const p2 = this.particles[j];
+
+            let dx = p2.x - p1.x;
+            let dy = p2.y - p1.y;
+            if (periodic && Math.abs(dx) > this.params.width / 2) {
+                dx = dx > 0 ? dx - this.params.width : dx + this.params.width;
+            }
+            if (periodic && Math.abs(dy) > this.params.height / 2) {
+                dy = dy > 0 ? dy - this.params.height : dy + this.params.height;
+            }
+
+            const distSq = dx * dx + dy * dy;
+            const dist = Math.sqrt(distSq);
+            const force = (G * p1.mass * p2.mass) / (distSq + softeningSq);
+            fx += force * (dx / (dist + 1e-8));
+            fy += force * (dy / (dist + 1e-8));
+        }
+        return [fx, fy];
+    }
+
+    // Mean relative error of the Barnes–Hut forces against the exact ones, over an evenly spaced
+    // sample of particles. Works whichever solver is active, so the cost of theta can be judged.
+    // Every sample costs an exact O(n) sum, so large universes get fewer of them.
+    measureForceError(sampleSize = 64) {
+        const count = this.particles.length;
+        if (count < 2) return 0;
+
+        const G = this.params.gravity * this.tempGravityMod;
+        const affordable = Math.max(FORCE_ERROR_MIN_SAMPLES, Math.floor(FORCE_ERROR_PAIR_BUDGET / count));
+        const stride = Math.max(1, Math.floor(count / Math.min(sampleSize, affordable)));
+        const approximate = [0, 0, 0];
+        let totalError = 0;
+        let samples = 0;
+
+        this.quadTree.build(this.particles);
+        for (let i = 0; i < count; i += stride) {
+            const [fx, fy] = this.exactForceOn(i);
+            const magnitude = Math.hypot(fx, fy);
+            if (magnitude < 1e-12) continue;
+
+            this.quadTree.computeForce(i, G, GRAVITY_SOFTENING, this.params.theta, approximate);
+            totalError += Math.hypot(approximate[0] - fx, approximate[1] - fy) / magnitude;
+            samples++;
+        }
+        return samples ? totalError / samples : 0;
+    }
+
+    // Kinetic, potential and total energy. The potential is computed with the active solver,
+    // so the exact solver costs O(n^2) here as well.
+    measureEnergy() {
+        const G = this.params.gravity * this.tempGravityMod;
+        const particles = this.particles;
+        let kinetic = 0;
+        let potential = 0;
+
+        for (const p of particles) {
+            kinetic += 0.5 * p.mass * (p.vx * p.vx + p.vy * p.vy);
+        }
+
+        if (this.params.forceSolver === 'exact') {
+            const periodic = this.periodic;
+            for (let i = 0; i < particles.length; i++) {
+                for (let j = i + 1; j < particles.length; j++) {
+                    let dx = particles[j].x - particles[i].x;
+                    let dy = particles[j].y - particles[i].y;
+                    if (periodic && Math.abs(dx) > this.params.width / 2) {
+                        dx = dx > 0 ? dx - this.params.width : dx + this.params.width;
+                    }
+                    if (periodic && Math.abs(dy) > this.params.height / 2) {
+                        dy = dy > 0 ? dy - this.params.height : dy + this.params.height;
+                    }
+                    potential += gravitationalPotential(G, particles[i].mass, particles[j].mass, Math.hypot(dx, dy), GRAVITY_SOFTENING);
+                }
+            }
+        } else {
+            const result = [0, 0, 0];
+            this.quadTree.build(particles);
+            for (let i = 0; i < particles.length; i++) {
+                potential += this.quadTree.computeForceAndPotential(i, G, GRAVITY_SOFTENING, this.params.theta, result)[2];
+            }
+            potential /= 2; // Every pair was counted from both ends
+        }
+
+        return { kinetic, potential, total: kinetic + potential };
+    }
+
+    // Relative change of the total energy since the universe was created (or the physics last
+    // changed). The first call sets the reference and returns 0.
+    measureEnergyDrift() {
+        const energy = this.measureEnergy();
+        if (this.referenceEnergy === null) {
+            this.referenceEnergy = energy.total;
+        }
+        const scale = Math.abs(this.referenceEnergy) || 1;
+        return { ...energy, drift: (energy.total - this.referenceEnergy) / scale };
+    }
+
+    // Total linear momentum, and angular momentum about the center of the box. A periodic
+    // universe wraps around, so angular momentum jumps whenever a particle crosses an edge;
+    // reflective walls and absorbing edges change both.
+    measureMomentum() {
+        const centerX = this.params.width / 2;
+        const centerY = this.params.height / 2;
+        let x = 0;
+        let y = 0;
+        let angular = 0;
+
+        for (const p of this.particles) {
+            x += p.mass * p.vx;
+            y += p.mass * p.vy;
+            angular += p.mass * ((p.x - centerX) * p.vy - (p.y - centerY) * p.vx);
+        }
+        return { x, y, magnitude: Math.hypot(x, y), angular };
+    }
+
+    // Sort the particles into the collision grid; cells are tuned to the largest diameter
+    buildGrid() {
+        let maxRadius = 0;
+        for (const p of this.particles) {
+            if (p.radius > maxRadius) maxRadius = p.radius;
+        }
+        this.grid.build(this.particles, maxRadius * 2);
+    }
+
     handleCollisions() {
-        const restitution = 0.8; // Coefficient of restitution (0 = perfectly inelastic, 1 = perfectly elastic)
+        const grid = this.grid;
+        const model = this.params.collisionModel;
+        const width = this.params.width;
+        const height = this.params.height;
+        const periodic = this.periodic;
+        const fragments = []; // Extra pieces from shattered bodies, added after the pass
+        let absorbed = false;
+
+        this.buildGrid();
 
         for (let i = 0; i < this.particles.length; i++) {
-            for (let j = i + 1; j < this.particles.length; j++) {
-                const p1 = this.particles[i];
+            const p1 = this.particles[i];
+            if (p1.mass === 0) continue; // Merged into another body earlier in this pass
+
+            const nearbyCount = grid.getNearby(i);
+            for (let k = 0; k < nearbyCount; k++) {
+                const j = grid.nearby[k];
+                if (j < i) continue; // Each pair once
                 const p2 = this.particles[j];
+                if (p2.mass === 0) continue;
 
                 let dx = p2.x - p1.x;
                 let dy = p2.y - p1.y;
 
                 // Toroidal distance check for collisions too
-                if (Math.abs(dx) > this.params.width / 2) {
-                    dx = dx > 0 ? dx - this.params.width : dx + this.params.width;
+                if (periodic && Math.abs(dx) > width / 2) {
+                    dx = dx > 0 ? dx - width : dx + width;
                 }
-                if (Math.abs(dy) > this.params.height / 2) {
-                    dy = dy > 0 ? dy - this.params.height : dy + this.params.height;
+                if (periodic && Math.abs(dy) > height / 2) {
+                    dy = dy > 0 ? dy - height : dy + height;
                 }
 
                 const distSq = dx * dx + dy * dy;
                 const minDist = p1.radius + p2.radius;
+                if (distSq >= minDist * minDist) continue;
 
-                if (distSq < minDist * minDist && distSq > 0.001) { // Check for overlap (and avoid exact overlap issues)
-                    const dist = Math.sqrt(distSq);
-                    const overlap = minDist - dist;
-
-                    // Collision normal vector (normalized dx, dy)
-                    const nx = dx / dist;
-                    const ny = dy / dist;
+                if (model === 'elastic') {
+                    if (distSq > 0.001) { // Avoid exact overlap issues
+                        this.bounce(p1, p2, dx, dy, Math.sqrt(distSq));
+                    }
+                    continue;
+                }
 
-                    // Separate particles slightly to avoid sticking
-                    const separationFactor = 0.5; // How much each particle moves
-                    p1.x -= nx * overlap * separationFactor;
-                    p1.y -= ny * overlap * separationFactor;
-                    p2.x += nx * overlap * separationFactor;
-                    p2.y += ny * overlap * separationFactor;
+                if (model === 'fragment' && this.shatter(p1, p2, dx, dy, fragments)) continue;
 
-                    // Relative velocity
-                    const dvx = p2.vx - p1.vx;
-                    const dvy = p2.vy - p1.vy;
+                this.merge(p1, p2, dx, dy);
+                absorbed = true;
+                if (p1.mass === 0) break; // p1 was the lighter one and is gone
+            }
+        }
 
-                    // Velocity component along the normal
-                    const vn = dvx * nx + dvy * ny;
+        if (absorbed) {
+            this.particles = this.particles.filter(p => p.mass > 0);
+        }
+        if (fragments.length > 0) {
+            this.particles.push(...fragments);
+        }
+    }
 
-                    // If velocities are separating, do nothing (already moving apart)
-                    if (vn >= 0) continue;
+    // Push overlapping particles apart and exchange momentum along the line between their
+    // centers; restitution 1 keeps all kinetic energy, lower values lose some
+    bounce(p1, p2, dx, dy, dist) {
+        const totalMass = p1.mass + p2.mass;
+        const overlap = p1.radius + p2.radius - dist;
+
+        // Collision normal vector (normalized dx, dy)
+        const nx = dx / dist;
+        const ny = dy / dist;
+
+        // Separate the particles, the lighter one moving further
+        p1.x -= nx * overlap * (p2.mass / totalMass);
+        p1.y -= ny * overlap * (p2.mass / totalMass);
+        p2.x += nx * overlap * (p1.mass / totalMass);
+        p2.y += ny * overlap * (p1.mass / totalMass);
+
+        // Velocity component of the relative velocity along the normal
+        const vn = (p2.vx - p1.vx) * nx + (p2.vy - p1.vy) * ny;
+
+        // If velocities are separating, do nothing (already moving apart)
+        if (vn >= 0) return;
+
+        const impulse = -(1 + this.params.restitution) * vn / (1 / p1.mass + 1 / p2.mass);
+        p1.vx -= impulse * nx / p1.mass;
+        p1.vy -= impulse * ny / p1.mass;
+        p2.vx += impulse * nx / p2.mass;
+        p2.vy += impulse * ny / p2.mass;
+    }
 
-                    // Calculate impulse scalar (simplified for equal mass)
-                    // For unequal mass: const impulse = -(1 + restitution) * vn / (1/p1.mass + 1/p2.mass);
-                    const impulse = -(1 + restitution) * vn / 2; // Assuming mass = 1 for both
+    // Perfectly inelastic collision: the heavier body absorbs the lighter one, keeping the total
+    // momentum, moving to the common center of mass and growing to hold both volumes.
+    // The absorbed particle is left with mass 0 for handleCollisions to remove.
+    merge(p1, p2, dx, dy) {
+        const [body, other, sign] = p2.mass > p1.mass ? [p2, p1, -1] : [p1, p2, 1];
+        const totalMass = body.mass + other.mass;
+        const share = other.mass / totalMass;
+
+        body.x += sign * dx * share;
+        body.y += sign * dy * share;
+        body.vx = (body.vx * body.mass + other.vx * other.mass) / totalMass;
+        body.vy = (body.vy * body.mass + other.vy * other.mass) / totalMass;
+        body.radius = Math.cbrt(body.radius ** 3 + other.radius ** 3);
+        body.mass = totalMass;
+        applyBoundary(body, this.params);
+
+        other.mass = 0;
+    }
 
-                    // Apply impulse
-                    p1.vx -= impulse * nx; // / p1.mass; (if mass varies)
-                    p1.vy -= impulse * ny; // / p1.mass;
-                    p2.vx += impulse * nx; // / p2.mass;
-                    p2.vy += impulse * ny; // / p2.mass;
-                }
-            }
+    // Break both bodies into equal fragments when the impact energy per unit of mass is above
+    // params.fragmentationEnergy. The fragments fly apart evenly around the center of mass, so
+    // mass and momentum are kept; only part of the impact energy stays in their motion.
+    // p1 and p2 become two of the fragments, the rest are appended to `fragments`.
+    // Returns false, changing nothing, when the collision is too gentle or the bodies too small.
+    shatter(p1, p2, dx, dy, fragments) {
+        const totalMass = p1.mass + p2.mass;
+        const count = Math.min(FRAGMENT_COUNT_MAX, Math.floor(totalMass / FRAGMENT_MIN_MASS));
+        if (count < 2) return false;
+
+        // Kinetic energy of the motion relative to the center of mass
+        const reducedMass = p1.mass * p2.mass / totalMass;
+        const dvx = p2.vx - p1.vx;
+        const dvy = p2.vy - p1.vy;
+        const impactEnergy = 0.5 * reducedMass * (dvx * dvx + dvy * dvy);
+        if (impactEnergy / totalMass <= this.params.fragmentationEnergy) return false;
+
+        const centerX = p1.x + dx * (p2.mass / totalMass);
+        const centerY = p1.y + dy * (p2.mass / totalMass);
+        const vx = (p1.vx * p1.mass + p2.vx * p2.mass) / totalMass;
+        const vy = (p1.vy * p1.mass + p2.vy * p2.mass) / totalMass;
+        const mass = totalMass / count;
+        const radius = Math.cbrt((p1.radius ** 3 + p2.radius ** 3) / count);
+        const speed = Math.sqrt(2 * FRAGMENT_KICK_FRACTION * impactEnergy / totalMass);
+        // Far enough out that neighbouring fragments start just apart
+        const ringRadius = radius * 1.05 / Math.sin(Math.PI / count);
+        const baseAngle = Math.atan2(dy, dx);
+
+        for (let k = 0; k < count; k++) {
+            const fragment = k === 0 ? p1 : k === 1 ? p2 : new Particle(0, 0);
+            const angle = baseAngle + (k * 2 * Math.PI) / count;
+            fragment.x = centerX + Math.cos(angle) * ringRadius;
+            fragment.y = centerY + Math.sin(angle) * ringRadius;
+            fragment.vx = vx + Math.cos(angle) * speed;
+            fragment.vy = vy + Math.sin(angle) * speed;
+            fragment.mass = mass;
+            fragment.radius = radius;
+            applyBoundary(fragment, this.params);
+            if (k > 1) fragments.push(fragment);
         }
+        return true;
+    }
+
+    // Bring a particle back inside the box of a periodic universe, however far outside it is.
+    // Other boundaries leave it where it is.
+    wrap(p) {
+        if (!this.periodic) return;
+        p.x = ((p.x % this.params.width) + this.params.width) % this.params.width;
+        p.y = ((p.y % this.params.height) + this.params.height) % this.params.height;
     }
 
     step(dt) {
@@ -365,26 +716,146 @@ class Simulation {
 
         const scaledDt = dt * this.params.simSpeed;
 
-        this.applyForces();
+        this.substeps = this.params.adaptiveSteps ? this.adaptiveSubsteps(scaledDt) : 1;
+        const substepDt = scaledDt / this.substeps;
+        for (let i = 0; i < this.substeps; i++) {
+            if (this.params.integrator === 'leapfrog') {
+                this.integrateLeapfrog(substepDt);
+            } else if (this.params.integrator === 'rk4') {
+                this.integrateRK4(substepDt);
+            } else {
+                this.integrateEuler(substepDt);
+            }
+            if (this.params.boundary === 'absorbing') this.removeAbsorbed();
+        }
+
+        this.age++;
+    }
+
+    // How many sub-steps dt needs so that no particle moves far, relative to the gravity
+    // softening length, under its current acceleration. Changing the step size from frame to
+    // frame gives up the symplectic integrators' long-term energy conservation, mildly for
+    // leapfrog but badly for first-order Euler.
+    adaptiveSubsteps(dt) {
+        if (!this.accelerationsFresh) this.computeAccelerations();
+
+        let maxAccelerationSq = 0;
+        for (const p of this.particles) {
+            maxAccelerationSq = Math.max(maxAccelerationSq, p.ax * p.ax + p.ay * p.ay);
+        }
+        if (maxAccelerationSq === 0) return 1;
+
+        const maxDt = ADAPTIVE_STEP_ETA * Math.sqrt(GRAVITY_SOFTENING / Math.sqrt(maxAccelerationSq));
+        return Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(dt / maxDt)));
+    }
+
+    // Semi-implicit (symplectic) Euler: one force evaluation, first order
+    integrateEuler(dt) {
+        if (!this.accelerationsFresh) this.computeAccelerations();
         this.handleCollisions(); // Handle collisions after forces, before position update
 
-        this.particles.forEach(p => p.update(scaledDt, this.params));
+        this.particles.forEach(p => p.update(dt, this.params));
+        this.accelerationsFresh = false;
+    }
+
+    // Velocity Verlet / leapfrog (kick-drift-kick): symplectic and second order for the cost of
+    // one force evaluation, since the closing half kick's accelerations open the next step
+    integrateLeapfrog(dt) {
+        if (!this.accelerationsFresh) this.computeAccelerations();
 
-        this.age++;
+        for (const p of this.particles) {
+            p.kick(dt / 2);
+            p.drift(dt, this.params);
+        }
+        this.handleCollisions();
+
+        this.computeAccelerations();
+        for (const p of this.particles) {
+            p.kick(dt / 2);
+        }
+    }
+
+    // Classic fourth-order Runge–Kutta: very accurate over a step, but four force evaluations and,
+    // not being symplectic, a slow energy drift over many orbits
+    integrateRK4(dt) {
+        const particles = this.particles;
+        const count = particles.length;
+        if (!this.rk4State || this.rk4State.x.length < count) {
+            const capacity = Math.max(count, 1024);
+            this.rk4State = {
+                x: new Float64Array(capacity), y: new Float64Array(capacity),
+                vx: new Float64Array(capacity), vy: new Float64Array(capacity),
+                sumVx: new Float64Array(capacity), sumVy: new Float64Array(capacity),
+                sumAx: new Float64Array(capacity), sumAy: new Float64Array(capacity)
+            };
+        }
+        const state = this.rk4State;
+
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            state.x[i] = p.x;
+            state.y[i] = p.y;
+            state.vx[i] = p.vx;
+            state.vy[i] = p.vy;
+            state.sumVx[i] = state.sumVy[i] = state.sumAx[i] = state.sumAy[i] = 0;
+        }
+
+        // Stage k is evaluated at the start state advanced by offsets[k] * dt along the previous
+        // stage's derivatives, and weighs weights[k] in the final average
+        const offsets = [0, 0.5, 0.5, 1];
+        const weights = [1, 2, 2, 1];
+        for (let stage = 0; stage < 4; stage++) {
+            if (stage > 0 || !this.accelerationsFresh) this.computeAccelerations();
+
+            const weight = weights[stage];
+            const nextOffset = (offsets[stage + 1] || 0) * dt;
+            for (let i = 0; i < count; i++) {
+                const p = particles[i];
+                state.sumVx[i] += weight * p.vx;
+                state.sumVy[i] += weight * p.vy;
+                state.sumAx[i] += weight * p.ax;
+                state.sumAy[i] += weight * p.ay;
+                if (stage < 3) {
+                    p.x = state.x[i] + nextOffset * p.vx;
+                    p.y = state.y[i] + nextOffset * p.vy;
+                    p.vx = state.vx[i] + nextOffset * p.ax;
+                    p.vy = state.vy[i] + nextOffset * p.ay;
+                    this.wrap(p);
+                }
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            p.x = state.x[i] + (dt / 6) * state.sumVx[i];
+            p.y = state.y[i] + (dt / 6) * state.sumVy[i];
+            p.vx = state.vx[i] + (dt / 6) * state.sumAx[i];
+            p.vy = state.vy[i] + (dt / 6) * state.sumAy[i];
+            applyBoundary(p, this.params);
+        }
+
+        this.handleCollisions();
+        this.accelerationsFresh = false;
     }
 
     addParticleCluster(x, y, count = 5, spread = 20) {
          const random = Math.random; // Use built-in random for this quick add
+         const bounded = this.params.boundary !== 'open';
          for (let i = 0; i < count; i++) {
             // Ensure added particles are within bounds initially
-            const px = Math.max(0, Math.min(this.params.width, x + (random() - 0.5) * spread));
-            const py = Math.max(0, Math.min(this.params.height, y + (random() - 0.5) * spread));
+            let px = x + (random() - 0.5) * spread;
+            let py = y + (random() - 0.5) * spread;
+            if (bounded) {
+                px = Math.max(0, Math.min(this.params.width, px));
+                py = Math.max(0, Math.min(this.params.height, py));
+            }
             const vx = (random() - 0.5) * 0.5; // Small initial velocity
             const vy = (random() - 0.5) * 0.5;
             const newParticle = new Particle(px, py, vx, vy, 1); // Use default mass/radius
             this.particles.push(newParticle);
-            this.grid.add(newParticle); // Add to grid
          }
+         this.referenceEnergy = null; // New mass, new energy budget
+         this.accelerationsFresh = false;
          // Optional: Update particle count display if needed
          // const numParticlesInput = document.getElementById('numParticles');
          // if (numParticlesInput) numParticlesInput.value = this.particles.length;
@@ -394,11 +865,99 @@ class Simulation {
 
     setTempGravityMod(mod) {
         this.tempGravityMod = mod;
+        this.referenceEnergy = null;
+        this.accelerationsFresh = false;
         console.log(`Temp gravity mod set to: ${mod}`); // Log change
         // Consider removing the automatic reset or making it configurable
         // setTimeout(() => { this.tempGravityMod = 1.0; console.log("Temp gravity mod reset."); }, 5000);
     }
 
+    // A point mass under the cursor that pulls every particle (a negative mass pushes), or null
+    // to remove it. Like tempGravityMod it is a nudge from the user, not part of the universe:
+    // it is never saved, and the energy it adds is not counted as drift. Gravity is softened
+    // by its radius so particles passing through are not flung away.
+    setTempAttractor(attractor) {
+        this.tempAttractor = attractor;
+        this.referenceEnergy = null;
+        this.accelerationsFresh = false;
+    }
+
+    applyTempAttractor() {
+        const { x, y, mass, radius } = this.tempAttractor;
+        const G = this.params.gravity * this.tempGravityMod;
+        const periodic = this.periodic;
+        for (const p of this.particles) {
+            let dx = x - p.x;
+            let dy = y - p.y;
+            if (periodic) {
+                dx -= Math.round(dx / this.params.width) * this.params.width;
+                dy -= Math.round(dy / this.params.height) * this.params.height;
+            }
+
+            const distSq = dx * dx + dy * dy;
+            const dist = Math.sqrt(distSq);
+            const forceMag = (G * p.mass * mass) / (distSq + radius * radius);
+            p.applyForce(forceMag * (dx / (dist + 1e-8)), forceMag * (dy / (dist + 1e-8)));
+        }
+    }
+
+    addParticle(x, y, vx, vy, mass = 1) {
+        this.particles.push(new Particle(x, y, vx, vy, mass));
+        this.referenceEnergy = null; // New mass, new energy budget
+        this.accelerationsFresh = false;
+    }
+
+    // Remove the particles within radius of a point, measured across the wrapping edges of a
+    // periodic universe
+    removeParticlesNear(x, y, radius) {
+        const { width, height } = this.params;
+        const periodic = this.periodic;
+        const count = this.particles.length;
+        this.particles = this.particles.filter(p => {
+            let dx = p.x - x;
+            let dy = p.y - y;
+            if (periodic) {
+                dx -= Math.round(dx / width) * width;
+                dy -= Math.round(dy / height) * height;
+            }
+            return dx * dx + dy * dy > radius * radius;
+        });
+        if (this.particles.length !== count) {
+            this.referenceEnergy = null;
+            this.accelerationsFresh = false;
+        }
+    }
+
+    // Remove the particles that have crossed an absorbing edge. The mass and energy they carry
+    // leave the universe, so the energy drift starts again from here.
+    removeAbsorbed() {
+        const { width, height } = this.params;
+        const count = this.particles.length;
+        this.particles = this.particles.filter(p => p.x >= 0 && p.x <= width && p.y >= 0 && p.y <= height);
+        if (this.particles.length !== count) {
+            this.referenceEnergy = null;
+            this.accelerationsFresh = false;
+        }
+    }
+
+    // Bring every particle within a newly chosen boundary: wrapped into a periodic box, kept
+    // inside reflective walls, or removed by absorbing edges. Open space has nothing to enforce.
+    confineParticles() {
+        const { width, height, boundary } = this.params;
+        if (boundary === 'absorbing') {
+            this.removeAbsorbed();
+            return;
+        }
+        for (const p of this.particles) {
+            if (boundary === 'periodic') {
+                this.wrap(p);
+            } else if (boundary === 'reflective') {
+                p.x = Math.max(0, Math.min(width, p.x));
+                p.y = Math.max(0, Math.min(height, p.y));
+            }
+        }
+    }
+
     togglePlayPause() {
         this.isRunning = !this.isRunning;
         return this.isRunning;
@@ -410,17 +969,80 @@ class Simulation {
 
     updateParams(newParams) {
         this.params.gravity = newParams.gravity ?? this.params.gravity;
+        this.params.forceSolver = newParams.forceSolver ?? this.params.forceSolver;
+        this.params.theta = newParams.theta ?? this.params.theta;
+        this.params.collisionModel = newParams.collisionModel ?? this.params.collisionModel;
+        this.params.restitution = newParams.restitution ?? this.params.restitution;
+        this.params.fragmentationEnergy = newParams.fragmentationEnergy ?? this.params.fragmentationEnergy;
+        this.params.integrator = newParams.integrator ?? this.params.integrator;
+        this.params.adaptiveSteps = newParams.adaptiveSteps ?? this.params.adaptiveSteps;
+        if (newParams.boundary !== undefined && newParams.boundary !== this.params.boundary) {
+            this.params.boundary = newParams.boundary;
+            this.syncGeometry();
+            this.confineParticles();
+            this.referenceEnergy = null;
+            this.accelerationsFresh = false;
+        }
+        // Energy drift is measured from the moment the physics last changed
+        if (newParams.gravity !== undefined || newParams.forceSolver !== undefined || newParams.theta !== undefined) {
+            this.referenceEnergy = null;
+            this.accelerationsFresh = false;
+        }
         // Update width/height if canvas resizes and renderer informs simulation
         this.params.width = newParams.width ?? this.params.width;
         this.params.height = newParams.height ?? this.params.height;
+        this.syncGeometry();
+    }
+
+    // Point the gravity tree and the collision grid at the current box and boundary
+    syncGeometry() {
+        this.quadTree.width = this.params.width;
+        this.quadTree.height = this.params.height;
+        this.quadTree.periodic = this.periodic;
+        this.grid.width = this.params.width;
+        this.grid.height = this.params.height;
+        this.grid.periodic = this.periodic;
+    }
+
+    // Everything needed to continue this universe later; the layout is described in
+    // js/universeFile.js
+    exportState() {
+        const count = this.particles.length;
+        const data = new Float64Array(count * PARTICLE_STATE_FIELDS);
+        this.particles.forEach((p, i) => {
+            data.set([p.x, p.y, p.vx, p.vy, p.mass, p.radius], i * PARTICLE_STATE_FIELDS);
+        });
+        return { params: { ...this.params }, age: this.age, tempGravityMod: this.tempGravityMod, count, data };
+    }
+
+    // Continue from an exported state. Like recreate(), the universe starts paused.
+    importState(state) {
+        this.params = { ...this.params, ...state.params };
+        this.updateParams({ width: this.params.width, height: this.params.height });
+
+        this.particles = [];
+        for (let i = 0; i < state.count; i++) {
+            const [x, y, vx, vy, mass, radius] = state.data.subarray(i * PARTICLE_STATE_FIELDS, (i + 1) * PARTICLE_STATE_FIELDS);
+            const particle = new Particle(x, y, vx, vy, mass);
+            particle.radius = radius;
+            this.particles.push(particle);
+        }
+
+        this.age = state.age;
+        this.tempGravityMod = state.tempGravityMod;
+        this.referenceEnergy = null;
+        this.accelerationsFresh = false;
+        this.isRunning = false;
     }
 
     recreate(newParams) {
         const currentSize = { width: this.params.width, height: this.params.height };
         // Include mode in the merge
         this.params = { ...this.params, ...currentSize, ...newParams };
+        this.syncGeometry();
         this.initParticles(); // initParticles now uses this.params.mode
         this.isRunning = false;
         this.tempGravityMod = 1.0;
+        this.tempAttractor = null;
     }
 }
@@ -0,0 +1,130 @@
+// Page side of the simulation worker (js/worker.js). Offers the parts of the Simulation API the
+// UI uses and turns them into worker messages; the particles themselves only exist in the
+// worker. The latest snapshot is kept in `snapshot` for the renderer to draw.
+class SimulationClient {
+    constructor(params) {
+        this.params = { ...params };
+        this.isRunning = false;
+        this.age = 0;
+        this.snapshot = null; // { age, count, positions, velocities, masses, radii, ids, occupancy, grid }, see js/worker.js
+        this.pendingRequests = new Map(); // { resolve, reject } of replies from the worker, by request id
+        this.nextRequestId = 1;
+
+        this.worker = new Worker('js/worker.js');
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        // A failing worker may never answer; fail what is waiting rather than leave it hanging
+        this.worker.addEventListener('error', (event) => {
+            this.pendingRequests.forEach(({ reject }) => reject(new Error(event.message)));
+            this.pendingRequests.clear();
+        });
+        this.worker.postMessage({ type: 'genesis', params: this.params });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'snapshot') {
+            // The previous snapshot has been drawn at least once; hand its buffers back
+            if (this.snapshot) this.release(this.snapshot);
+            this.snapshot = message;
+            this.age = message.age;
+        } else if (this.pendingRequests.has(message.id)) {
+            const { resolve } = this.pendingRequests.get(message.id);
+            this.pendingRequests.delete(message.id);
+            resolve(message);
+        }
+    }
+
+    release(snapshot) {
+        const { positions, velocities, masses, radii, ids, occupancy } = snapshot;
+        this.worker.postMessage(
+            { type: 'release', snapshot: { positions, velocities, masses, radii, ids, occupancy } },
+            [positions.buffer, velocities.buffer, masses.buffer, radii.buffer, ids.buffer, occupancy.buffer]
+        );
+    }
+
+    setRunning(running) {
+        this.isRunning = running;
+        this.worker.postMessage({ type: running ? 'resume' : 'pause' });
+    }
+
+    togglePlayPause() {
+        this.setRunning(!this.isRunning);
+        return this.isRunning;
+    }
+
+    setSpeed(speed) {
+        this.params.simSpeed = speed;
+        this.worker.postMessage({ type: 'speed', speed });
+    }
+
+    updateParams(newParams) {
+        this.params = { ...this.params, ...newParams };
+        this.worker.postMessage({ type: 'params', ...newParams });
+    }
+
+    setTempGravityMod(mod) {
+        this.worker.postMessage({ type: 'gravityMod', mod });
+    }
+
+    addParticleCluster(x, y, count = 5, spread = 20) {
+        this.worker.postMessage({ type: 'addCluster', x, y, count, spread });
+    }
+
+    addParticle(x, y, vx, vy, mass = 1) {
+        this.worker.postMessage({ type: 'addParticle', x, y, vx, vy, mass });
+    }
+
+    eraseParticles(x, y, radius) {
+        this.worker.postMessage({ type: 'erase', x, y, radius });
+    }
+
+    // See Simulation.setTempAttractor; null removes it
+    setTempAttractor(attractor) {
+        this.worker.postMessage({ type: 'attractor', attractor });
+    }
+
+    // Like Simulation.recreate: the new universe starts paused
+    recreate(newParams) {
+        this.params = { ...this.params, ...newParams };
+        this.isRunning = false;
+        this.age = 0;
+        this.worker.postMessage({ type: 'genesis', params: this.params });
+    }
+
+    // Include the collision grid's occupancy in snapshots, for the renderer's debug overlay
+    setGridOverlay(enabled) {
+        this.worker.postMessage({ type: 'gridOverlay', enabled });
+    }
+
+    // Send a message the worker answers, resolving to its reply; rejects if the worker fails
+    request(type, message = {}) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, type, id });
+        });
+    }
+
+    // Advance the (paused) universe by a fixed dt. Resolves once `snapshot` shows the result.
+    stepFrame(dt) {
+        return this.request('stepFrame', { dt });
+    }
+
+    // Energies, energy drift, momentum, particle count and Barnes–Hut force error, measured in
+    // the worker. Resolves to the 'measurement' message of js/worker.js without type and id.
+    measure() {
+        return this.request('measure').then(({ type, id, ...measurement }) => measurement);
+    }
+
+    // The complete universe, to be saved with js/universeFile.js
+    exportState() {
+        return this.request('exportState').then(reply => reply.state);
+    }
+
+    // Continue from a saved state; like recreate(), the universe starts paused
+    importState(state) {
+        this.params = { ...this.params, ...state.params };
+        this.isRunning = false;
+        this.age = state.age;
+        this.worker.postMessage({ type: 'importState', state }, [state.data.buffer]);
+    }
+}
@@ -1,115 +1,169 @@
+// Uniform grid over the simulation box, for finding the particles close to a particle
+// without comparing every pair. Collisions go through it (Simulation.handleCollisions), and so
+// should any other short-range interaction.
+//
+// The grid is rebuilt from the particle positions every step: particles are counting-sorted by
+// cell into one flat index array. Building and querying reuse typed arrays, so nothing is
+// allocated per step or per query once the arrays have grown to fit.
+//
+// Cells are tuned from the interaction range passed to build() (for collisions, the largest
+// particle diameter): a cell at least that wide means everything within range of a particle is
+// in the 3×3 block of cells around it, wrapping across the edges of the box. Without `periodic`
+// (the other boundary modes, see applyBoundary in js/simulation.js) nothing wraps, and the grid
+// covers the bounding box of the particles instead, which in open space can be far larger.
+
+const SPATIAL_GRID_MAX_CELLS_PER_PARTICLE = 4; // Keeps few, tiny particles from creating huge grids
+
 class SpatialGrid {
-    constructor(width, height, cellSize) {
+    constructor(width, height) {
         this.width = width;
         this.height = height;
-        this.cellSize = cellSize;
-        this.cols = Math.ceil(width / cellSize);
-        this.rows = Math.ceil(height / cellSize);
-        this.cells = new Array(this.cols * this.rows).fill(null).map(() => []);
-        this.particleCellMap = new Map(); // Store which cell each particle is in
+        this.periodic = true; // Neighbours wrap across the edges of the box
+        this.left = 0;        // Area the cells cover: the box, or the particles' bounding box
+        this.top = 0;
+        this.spanWidth = width;
+        this.spanHeight = height;
+        this.cols = 0;
+        this.rows = 0;
+        this.cellWidth = 0;
+        this.cellHeight = 0;
+        this.cellStart = new Int32Array(0); // Offset of each cell's particles in `sorted`
+        this.cellCount = new Int32Array(0); // Particles per cell, also the occupancy overlay
+        this.cellOf = new Int32Array(0);    // Cell of each particle
+        this.sorted = new Int32Array(0);    // Particle indices grouped by cell
+        this.nearby = new Int32Array(0);    // Results of the last getNearby()
     }
 
-    _getCellCoords(x, y) {
-        const cellX = Math.floor(x / this.cellSize);
-        const cellY = Math.floor(y / this.cellSize);
-        // Clamp coordinates to grid boundaries
-        return {
-            x: Math.max(0, Math.min(this.cols - 1, cellX)),
-            y: Math.max(0, Math.min(this.rows - 1, cellY)),
-        };
+    // The area to cover: the whole box, or without wrapping wherever the particles are
+    _fit(particles) {
+        if (this.periodic || particles.length === 0) {
+            this.left = 0;
+            this.top = 0;
+            this.spanWidth = this.width;
+            this.spanHeight = this.height;
+            return;
+        }
+
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        for (const p of particles) {
+            left = Math.min(left, p.x);
+            right = Math.max(right, p.x);
+            top = Math.min(top, p.y);
+            bottom = Math.max(bottom, p.y);
+        }
+        this.left = left;
+        this.top = top;
+        this.spanWidth = Math.max(right - left, 1);
+        this.spanHeight = Math.max(bottom - top, 1);
     }
 
-    _getCellIndex(cellX, cellY) {
-        return cellY * this.cols + cellX;
+    // Choose the cell size for an interaction range, reallocating the cell arrays if it changed
+    _tune(range, count) {
+        const cellLimit = Math.max(1, count * SPATIAL_GRID_MAX_CELLS_PER_PARTICLE);
+        const minCellSize = Math.sqrt(this.spanWidth * this.spanHeight / cellLimit);
+        // A long, thin span (particles strung out in open space) would otherwise be one row of
+        // countless cells
+        const cellSize = Math.max(range, minCellSize, Math.max(this.spanWidth, this.spanHeight) / cellLimit);
+
+        // Whole cells tile the area exactly, each at least cellSize wide
+        const cols = Math.max(1, Math.floor(this.spanWidth / cellSize));
+        const rows = Math.max(1, Math.floor(this.spanHeight / cellSize));
+        this.cellWidth = this.spanWidth / cols;
+        this.cellHeight = this.spanHeight / rows;
+
+        if (cols !== this.cols || rows !== this.rows) {
+            this.cols = cols;
+            this.rows = rows;
+            this.cellStart = new Int32Array(cols * rows + 1);
+            this.cellCount = new Int32Array(cols * rows);
+        }
     }
 
-    add(particle) {
-        const { x: cellX, y: cellY } = this._getCellCoords(particle.x, particle.y);
-        const cellIndex = this._getCellIndex(cellX, cellY);
-        this.cells[cellIndex].push(particle);
-        this.particleCellMap.set(particle, cellIndex);
+    _cellIndex(x, y) {
+        const cellX = Math.max(0, Math.min(this.cols - 1, Math.floor((x - this.left) / this.cellWidth)));
+        const cellY = Math.max(0, Math.min(this.rows - 1, Math.floor((y - this.top) / this.cellHeight)));
+        return cellY * this.cols + cellX;
     }
 
-    remove(particle) {
-        const cellIndex = this.particleCellMap.get(particle);
-        if (cellIndex !== undefined) {
-            const cell = this.cells[cellIndex];
-            const particleIndex = cell.indexOf(particle);
-            if (particleIndex > -1) {
-                cell.splice(particleIndex, 1);
-            }
-            this.particleCellMap.delete(particle);
+    // Sort `particles` (objects with x and y, inside the box when periodic) into cells at least
+    // `range` wide
+    build(particles, range) {
+        const count = particles.length;
+        this._fit(particles);
+        this._tune(range, count);
+
+        if (this.cellOf.length < count) {
+            const capacity = Math.max(count, this.cellOf.length * 2);
+            this.cellOf = new Int32Array(capacity);
+            this.sorted = new Int32Array(capacity);
+            this.nearby = new Int32Array(capacity);
         }
-    }
 
-    update(particle) {
-        const oldCellIndex = this.particleCellMap.get(particle);
-        const { x: newCellX, y: newCellY } = this._getCellCoords(particle.x, particle.y);
-        const newCellIndex = this._getCellIndex(newCellX, newCellY);
-
-        if (oldCellIndex !== newCellIndex) {
-            // Remove from old cell
-            if (oldCellIndex !== undefined) {
-                const oldCell = this.cells[oldCellIndex];
-                const particleIndex = oldCell.indexOf(particle);
-                if (particleIndex > -1) {
-                    oldCell.splice(particleIndex, 1);
-                }
-            }
-            // Add to new cell
-            this.cells[newCellIndex].push(particle);
-            this.particleCellMap.set(particle, newCellIndex);
+        const cellStart = this.cellStart;
+        const cellCount = this.cellCount;
+        cellCount.fill(0);
+
+        for (let i = 0; i < count; i++) {
+            const cell = this._cellIndex(particles[i].x, particles[i].y);
+            this.cellOf[i] = cell;
+            cellCount[cell]++;
+        }
+
+        cellStart[0] = 0;
+        for (let cell = 0; cell < cellCount.length; cell++) {
+            cellStart[cell + 1] = cellStart[cell] + cellCount[cell];
+        }
+
+        // Place each particle, counting the cells up again as they fill
+        cellCount.fill(0);
+        for (let i = 0; i < count; i++) {
+            const cell = this.cellOf[i];
+            this.sorted[cellStart[cell] + cellCount[cell]++] = i;
         }
     }
 
-    getNearby(particle) {
-        const nearbyParticles = new Set();
-        const { x: cellX, y: cellY } = this._getCellCoords(particle.x, particle.y);
-
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                const checkX = cellX + dx;
-                const checkY = cellY + dy;
-
-                // Check if the neighbor cell is within grid bounds
-                if (checkX >= 0 && checkX < this.cols && checkY >= 0 && checkY < this.rows) {
-                    const cellIndex = this._getCellIndex(checkX, checkY);
-                    for (const p of this.cells[cellIndex]) {
-                        // Don't add the particle itself
-                        if (p !== particle) {
-                            nearbyParticles.add(p);
-                        }
-                    }
+    // Collect the particles in the 3×3 cells around particle `index` (itself excluded) into
+    // `this.nearby` and return how many there are. The result is overwritten by the next query.
+    getNearby(index) {
+        const cell = this.cellOf[index];
+        const cellX = cell % this.cols;
+        const cellY = (cell - cellX) / this.cols;
+        let found = 0;
+
+        for (let dy = -1; dy <= 1; dy++) {
+            let row = cellY + dy;
+            if (this.periodic) {
+                // With fewer than 3 rows (or columns) the wrapped neighbors repeat; visit each once
+                if (this.rows < 3 && dy > this.rows - 2) continue;
+                row = (row + this.rows) % this.rows;
+            } else if (row < 0 || row >= this.rows) {
+                continue;
+            }
+
+            for (let dx = -1; dx <= 1; dx++) {
+                let col = cellX + dx;
+                if (this.periodic) {
+                    if (this.cols < 3 && dx > this.cols - 2) continue;
+                    col = (col + this.cols) % this.cols;
+                } else if (col < 0 || col >= this.cols) {
+                    continue;
                 }
-                // Basic Toroidal wrapping check (only for adjacent cells crossing boundaries)
-                // This is a simplified check; more robust toroidal grids are complex.
-                else {
-                    let wrappedX = checkX;
-                    let wrappedY = checkY;
-                    if (wrappedX < 0) wrappedX = this.cols - 1;
-                    else if (wrappedX >= this.cols) wrappedX = 0;
-                    if (wrappedY < 0) wrappedY = this.rows - 1;
-                    else if (wrappedY >= this.rows) wrappedY = 0;
-
-                    // Only check if wrapping actually occurred and it's a direct neighbor
-                    if ((wrappedX !== checkX || wrappedY !== checkY) && Math.abs(dx) <= 1 && Math.abs(dy) <= 1) {
-                         const cellIndex = this._getCellIndex(wrappedX, wrappedY);
-                         if (this.cells[cellIndex]) { // Ensure cell exists
-                            for (const p of this.cells[cellIndex]) {
-                                if (p !== particle) {
-                                    nearbyParticles.add(p);
-                                }
-                            }
-                         }
+                const neighbor = row * this.cols + col;
+                const end = this.cellStart[neighbor + 1];
+
+                for (let slot = this.cellStart[neighbor]; slot < end; slot++) {
+                    const other = this.sorted[slot];
+                    if (other !== index) {
+                        this.nearby[found++] = other;
                     }
                 }
             }
         }
-        return nearbyParticles;
+        return found;
     }
 
     clear() {
-        this.cells = new Array(this.cols * this.rows).fill(null).map(() => []);
-        this.particleCellMap.clear();
+        this.cellCount.fill(0);
+        this.cellStart.fill(0);
     }
 }
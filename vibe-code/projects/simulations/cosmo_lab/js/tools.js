@@ -0,0 +1,222 @@
+// What the pointer does on the simulation canvas. The selected tool acts with the left button;
+// whatever the tool, the wheel zooms (js/renderer.js), a right- or middle-button drag pans the
+// camera, and Shift+click selects the body under the cursor for the inspector.
+
+const TOOL_HINTS = {
+    cluster: 'Click to add a cluster of particles, drag to pan',
+    select: 'Click a body to inspect it, drag to pan',
+    fling: 'Drag to launch a body in the direction and speed of the drag',
+    brush: 'Hold and drag to spray particles',
+    eraser: 'Hold and drag to remove particles',
+    attractor: 'Hold to pull everything towards the cursor',
+    repeller: 'Hold to push everything away from the cursor'
+};
+const TOOL_OVERLAY_COLORS = {
+    brush: '#8aff8a',
+    eraser: '#ff6b6b',
+    attractor: '#7ecfff',
+    repeller: '#ffb347'
+};
+
+const TOOL_CLICK_DISTANCE = 4;    // Canvas pixels a click may move before it counts as a drag
+const TOOL_REPEAT_INTERVAL = 100; // ms between brush and eraser dabs while held still
+const BRUSH_PARTICLES = 6;        // Particles per brush dab
+const FLING_SPEED = 0.05;         // Launch speed per simulation unit of drag
+
+class ToolPalette {
+    // `renderer` provides the canvas, camera and selection; `simulation` is the SimulationClient
+    constructor(renderer, simulation) {
+        this.renderer = renderer;
+        this.simulation = simulation;
+        this.canvas = renderer.canvas;
+        this.tool = 'cluster';
+        this.size = 30;   // Brush, eraser and attractor radius, in simulation units
+        this.mass = 1000; // Mass of flung bodies and of the attractor
+        this.pointer = null; // Cursor in simulation coordinates, not wrapped, while over the canvas
+        this.drag = null;    // The pointer press in progress, see pointerdown below
+        this.repeatTimer = null;
+        this.addPointerListeners();
+    }
+
+    setTool(tool) {
+        this.endDrag();
+        this.tool = tool;
+        this.canvas.style.cursor = this.cursor;
+    }
+
+    // Crosshair for the tools that draw on the canvas
+    get cursor() {
+        return this.tool === 'cluster' || this.tool === 'select' ? '' : 'crosshair';
+    }
+
+    // Canvas point and the simulation point under it, wrapped into the box when it repeats.
+    // `inside` is false where the tools cannot act: the margins around the box in the fitted
+    // view, and outside the walls of a reflective or absorbing box. Open space has no outside.
+    locate(event) {
+        const renderer = this.renderer;
+        const camera = renderer.camera;
+        const canvasPoint = renderer.canvasPoint(event);
+        const world = camera.canvasToWorld(canvasPoint.x, canvasPoint.y, this.canvas.width, this.canvas.height);
+        const width = renderer.simulationWidth;
+        const height = renderer.simulationHeight;
+        const inBox = world.x >= 0 && world.x <= width && world.y >= 0 && world.y <= height;
+        if (!camera.wraps) {
+            return { canvas: canvasPoint, world, x: world.x, y: world.y, inside: camera.boundary === 'open' || inBox };
+        }
+        return {
+            canvas: canvasPoint,
+            world,
+            x: ((world.x % width) + width) % width,
+            y: ((world.y % height) + height) % height,
+            inside: !camera.isHome || inBox
+        };
+    }
+
+    addPointerListeners() {
+        const canvas = this.canvas;
+        canvas.addEventListener('contextmenu', (event) => event.preventDefault()); // Right-drag pans
+
+        canvas.addEventListener('pointerdown', (event) => {
+            const location = this.locate(event);
+            this.pointer = location.world;
+            // Left drags with the tools that click pan too; clicks are told apart on release
+            const pans = event.button !== 0 || this.tool === 'cluster' || this.tool === 'select' || event.shiftKey;
+            // A stroke of the tool, unless it pans or starts outside the box
+            const active = !pans && location.inside;
+            this.drag = { start: location, last: location, lastDab: location, distance: 0, pans, active, button: event.button };
+            canvas.setPointerCapture(event.pointerId);
+            if (active) this.beginStroke(location);
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            const location = this.locate(event);
+            this.pointer = location.world;
+            const drag = this.drag;
+            if (!drag) return;
+
+            const dx = location.canvas.x - drag.last.canvas.x;
+            const dy = location.canvas.y - drag.last.canvas.y;
+            drag.distance += Math.abs(dx) + Math.abs(dy);
+            drag.last = location;
+            if (drag.pans) {
+                // Small jitter during a click should neither pan nor stop following
+                if (drag.distance > TOOL_CLICK_DISTANCE) {
+                    this.renderer.camera.panBy(dx, dy, canvas.width, canvas.height);
+                    canvas.style.cursor = 'grabbing';
+                }
+            } else if (drag.active) {
+                this.continueStroke(location);
+            }
+        });
+
+        canvas.addEventListener('pointerup', (event) => {
+            const drag = this.drag;
+            if (!drag) return;
+            const location = this.locate(event);
+            if (drag.pans) {
+                if (drag.button === 0 && drag.distance <= TOOL_CLICK_DISTANCE && location.inside) {
+                    this.click(location, event.shiftKey);
+                }
+            } else if (this.tool === 'fling' && drag.active) {
+                this.fling(drag.start, location);
+            }
+            this.endDrag();
+        });
+        canvas.addEventListener('pointercancel', () => this.endDrag());
+        canvas.addEventListener('pointerleave', () => {
+            if (!this.drag) this.pointer = null;
+        });
+    }
+
+    click(location, shiftKey) {
+        if (shiftKey || this.tool === 'select') {
+            const { scale } = this.renderer.camera.transform(this.canvas.width, this.canvas.height);
+            this.renderer.selectNearest(this.simulation.snapshot, location.x, location.y, 20 / scale);
+        } else {
+            // Add a small cluster of particles at the simulation coordinates
+            this.simulation.addParticleCluster(location.x, location.y, 10, 15); // Add 10 particles in a 15-unit spread
+        }
+    }
+
+    // Left button down with a drawing tool
+    beginStroke(location) {
+        if (this.tool === 'brush' || this.tool === 'eraser') {
+            this.dab(location);
+            // Keep spraying or erasing while the button is held still
+            this.repeatTimer = setInterval(() => this.dab(this.drag.last), TOOL_REPEAT_INTERVAL);
+        } else if (this.tool === 'attractor' || this.tool === 'repeller') {
+            this.moveAttractor(location);
+        }
+    }
+
+    continueStroke(location) {
+        if (this.tool === 'brush' || this.tool === 'eraser') {
+            // Dabs half a brush apart leave no gaps in a fast stroke
+            const last = this.drag.lastDab.world;
+            if (Math.hypot(location.world.x - last.x, location.world.y - last.y) >= this.size / 2) {
+                this.dab(location);
+            }
+        } else if (this.tool === 'attractor' || this.tool === 'repeller') {
+            this.moveAttractor(location);
+        }
+    }
+
+    dab(location) {
+        this.drag.lastDab = location;
+        if (this.tool === 'brush') {
+            this.simulation.addParticleCluster(location.x, location.y, BRUSH_PARTICLES, this.size * 2);
+        } else {
+            this.simulation.eraseParticles(location.x, location.y, this.size);
+        }
+    }
+
+    moveAttractor(location) {
+        this.simulation.setTempAttractor({
+            x: location.x,
+            y: location.y,
+            mass: this.tool === 'repeller' ? -this.mass : this.mass,
+            radius: this.size
+        });
+    }
+
+    // A body at the press point, moving along the drag
+    fling(start, end) {
+        const vx = (end.world.x - start.world.x) * FLING_SPEED;
+        const vy = (end.world.y - start.world.y) * FLING_SPEED;
+        this.simulation.addParticle(start.x, start.y, vx, vy, this.mass);
+    }
+
+    endDrag() {
+        if (this.drag && this.drag.active && (this.tool === 'attractor' || this.tool === 'repeller')) {
+            this.simulation.setTempAttractor(null);
+        }
+        clearInterval(this.repeatTimer);
+        this.repeatTimer = null;
+        this.drag = null;
+        this.canvas.style.cursor = this.cursor;
+    }
+
+    // Brush outline under the cursor and the launch line of a fling, drawn by the renderer in
+    // simulation coordinates
+    drawOverlay(ctx, scale) {
+        if (!this.pointer) return;
+        ctx.lineWidth = 1.5 / scale;
+
+        if (TOOL_OVERLAY_COLORS[this.tool]) {
+            ctx.strokeStyle = TOOL_OVERLAY_COLORS[this.tool];
+            ctx.globalAlpha = this.drag && this.drag.active ? 0.9 : 0.5;
+            ctx.beginPath();
+            ctx.arc(this.pointer.x, this.pointer.y, this.size, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        } else if (this.tool === 'fling' && this.drag && this.drag.active) {
+            const start = this.drag.start.world;
+            ctx.strokeStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(start.x, start.y, 4 / scale, 0, Math.PI * 2);
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(this.pointer.x, this.pointer.y);
+            ctx.stroke();
+        }
+    }
+}
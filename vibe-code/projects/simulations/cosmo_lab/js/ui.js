@@ -1,4 +1,4 @@
-function setupUI(simulation, renderer) {
+function setupUI(simulation, renderer, tools) {
     const gravitySlider = document.getElementById('gravity');
     const gravityValue = document.getElementById('gravityValue');
     const numParticlesInput = document.getElementById('numParticles');
@@ -10,11 +10,95 @@ function setupUI(simulation, renderer) {
     const simSpeedValue = document.getElementById('simSpeedValue');
     const simAgeDisplay = document.getElementById('simAge');
     const colorModeSelect = document.getElementById('colorModeSelect');
+    const particleBackendSelect = document.getElementById('particleBackendSelect');
     const genesisModeSelect = document.getElementById('genesisModeSelect');
+    const forceSolverSelect = document.getElementById('forceSolverSelect');
+    const thetaSlider = document.getElementById('theta');
+    const thetaValue = document.getElementById('thetaValue');
+    const energyDriftDisplay = document.getElementById('energyDrift');
+    const forceErrorDisplay = document.getElementById('forceError');
+    const gridOverlayCheckbox = document.getElementById('gridOverlay');
+    const collisionModelSelect = document.getElementById('collisionModelSelect');
+    const boundarySelect = document.getElementById('boundarySelect');
+    const restitutionSlider = document.getElementById('restitution');
+    const restitutionValue = document.getElementById('restitutionValue');
+    const fragmentationSlider = document.getElementById('fragmentationEnergy');
+    const fragmentationValue = document.getElementById('fragmentationEnergyValue');
+    const bodyCountDisplay = document.getElementById('bodyCount');
+    const integratorSelect = document.getElementById('integratorSelect');
+    const adaptiveStepsCheckbox = document.getElementById('adaptiveSteps');
+    const substepCountDisplay = document.getElementById('substepCount');
+    const saveJsonButton = document.getElementById('saveJsonButton');
+    const saveBinaryButton = document.getElementById('saveBinaryButton');
+    const loadButton = document.getElementById('loadButton');
+    const loadInput = document.getElementById('loadInput');
+    const shareButton = document.getElementById('shareButton');
+    const shareStatus = document.getElementById('shareStatus');
+    const genesisExampleSelect = document.getElementById('genesisExampleSelect');
+    const genesisEditor = document.getElementById('genesisEditor');
+    const genesisLoadButton = document.getElementById('genesisLoadButton');
+    const genesisLoadInput = document.getElementById('genesisLoadInput');
+    const genesisSaveButton = document.getElementById('genesisSaveButton');
+    const genesisApplyButton = document.getElementById('genesisApplyButton');
+    const genesisStatus = document.getElementById('genesisStatus');
+    let shareStatusTimer = null;
+    const followSelect = document.getElementById('followSelect');
+    const resetViewButton = document.getElementById('resetViewButton');
+    const zoomLevelDisplay = document.getElementById('zoomLevel');
+    const toolSelect = document.getElementById('toolSelect');
+    const toolSizeSlider = document.getElementById('toolSize');
+    const toolSizeValue = document.getElementById('toolSizeValue');
+    const toolMassSlider = document.getElementById('toolMass');
+    const toolMassValue = document.getElementById('toolMassValue');
+    const toolHint = document.getElementById('toolHint');
+    const inspectBody = document.getElementById('inspectBody');
+    const inspectMass = document.getElementById('inspectMass');
+    const inspectRadius = document.getElementById('inspectRadius');
+    const inspectSpeed = document.getElementById('inspectSpeed');
+    const inspectVelocity = document.getElementById('inspectVelocity');
+    const inspectPosition = document.getElementById('inspectPosition');
+    const deselectButton = document.getElementById('deselectButton');
+    const recordFormatSelect = document.getElementById('recordFormat');
+    const recordFpsSelect = document.getElementById('recordFps');
+    const recordFramesInput = document.getElementById('recordFrames');
+    const recordScaleSelect = document.getElementById('recordScale');
+    const recordButton = document.getElementById('recordButton');
+    const recordStatus = document.getElementById('recordStatus');
+    const recorder = new Recorder(simulation, renderer);
+    let recordingFrames = false;
+
+    // Settings carried by share links (?mode=spiral_galaxy&seed=7&...) and restored from saved
+    // universes: URL key, Simulation param and the control holding it
+    const sharedControls = [
+        { key: 'mode', param: 'mode', element: genesisModeSelect },
+        { key: 'n', param: 'numParticles', element: numParticlesInput },
+        { key: 'seed', param: 'seed', element: seedInput },
+        { key: 'gravity', param: 'gravity', element: gravitySlider },
+        { key: 'boundary', param: 'boundary', element: boundarySelect },
+        { key: 'speed', param: 'simSpeed', element: simSpeedSlider },
+        { key: 'solver', param: 'forceSolver', element: forceSolverSelect },
+        { key: 'theta', param: 'theta', element: thetaSlider },
+        { key: 'integrator', param: 'integrator', element: integratorSelect },
+        { key: 'adaptive', param: 'adaptiveSteps', element: adaptiveStepsCheckbox },
+        { key: 'collisions', param: 'collisionModel', element: collisionModelSelect },
+        { key: 'restitution', param: 'restitution', element: restitutionSlider },
+        { key: 'shatter', param: 'fragmentationEnergy', element: fragmentationSlider },
+        { key: 'genesis', param: 'genesis', element: genesisEditor }
+    ];
+    const diagnostics = new DiagnosticsPanel();
+    let universeId = 0; // Measurements of a replaced universe are dropped
 
     function updateParamDisplay() {
         gravityValue.textContent = parseFloat(gravitySlider.value).toFixed(2);
         numParticlesValue.textContent = numParticlesInput.value;
+        restitutionValue.textContent = parseFloat(restitutionSlider.value).toFixed(2);
+        fragmentationValue.textContent = parseFloat(fragmentationSlider.value).toFixed(2);
+    }
+
+    // Only the settings of the selected collision model can be changed
+    function updateCollisionControls() {
+        restitutionSlider.disabled = collisionModelSelect.value !== 'elastic';
+        fragmentationSlider.disabled = collisionModelSelect.value !== 'fragment';
     }
 
     gravitySlider.addEventListener('input', () => {
@@ -24,13 +108,70 @@ function setupUI(simulation, renderer) {
 
     numParticlesInput.addEventListener('input', updateParamDisplay);
 
+    boundarySelect.addEventListener('change', () => {
+        simulation.updateParams({ boundary: boundarySelect.value });
+        energyDriftDisplay.textContent = '0.00%';
+        // Open space has no box to frame, so keep the universe in view as it drifts and spreads
+        if (boundarySelect.value === 'open' && renderer.camera.follow === 'none') {
+            renderer.camera.follow = 'center_of_mass';
+        }
+    });
+
+    forceSolverSelect.addEventListener('change', () => {
+        simulation.updateParams({ forceSolver: forceSolverSelect.value });
+        thetaSlider.disabled = forceSolverSelect.value === 'exact';
+        energyDriftDisplay.textContent = '0.00%';
+    });
+
+    integratorSelect.addEventListener('change', () => {
+        simulation.updateParams({ integrator: integratorSelect.value });
+    });
+
+    adaptiveStepsCheckbox.addEventListener('change', () => {
+        simulation.updateParams({ adaptiveSteps: adaptiveStepsCheckbox.checked });
+    });
+
+    collisionModelSelect.addEventListener('change', () => {
+        simulation.updateParams({ collisionModel: collisionModelSelect.value });
+        updateCollisionControls();
+    });
+
+    restitutionSlider.addEventListener('input', () => {
+        updateParamDisplay();
+        simulation.updateParams({ restitution: parseFloat(restitutionSlider.value) });
+    });
+
+    fragmentationSlider.addEventListener('input', () => {
+        updateParamDisplay();
+        simulation.updateParams({ fragmentationEnergy: parseFloat(fragmentationSlider.value) });
+    });
+
+    thetaSlider.addEventListener('input', () => {
+        const theta = parseFloat(thetaSlider.value);
+        thetaValue.textContent = theta.toFixed(2);
+        simulation.updateParams({ theta });
+        energyDriftDisplay.textContent = '0.00%';
+    });
+
     createButton.addEventListener('click', () => {
         const selectedMode = genesisModeSelect.value;
         let numParticlesToCreate = parseInt(numParticlesInput.value, 10);
+        let genesis = null;
 
-        numParticlesInput.disabled = false; // Always enabled now
-        // Ensure value is at least the minimum if user entered something invalid
-        if (isNaN(numParticlesToCreate) || numParticlesToCreate < 10) {
+        if (selectedMode === 'custom') {
+            // The editor's components decide the particle count
+            try {
+                const { components, count } = parseGenesis(genesisEditor.value, simulation.params.width, simulation.params.height);
+                genesis = JSON.parse(genesisEditor.value);
+                numParticlesToCreate = count;
+                numParticlesInput.value = count;
+                genesisStatus.textContent = `${count} particles in ${components.length} components`;
+            } catch (error) {
+                genesisStatus.textContent = error.message;
+                return;
+            }
+        } else if (isNaN(numParticlesToCreate) || numParticlesToCreate < 10) {
+            // Ensure value is at least the minimum if user entered something invalid
             numParticlesToCreate = 1750; // Fallback to default if invalid
             numParticlesInput.value = numParticlesToCreate;
         }
@@ -38,24 +179,353 @@ function setupUI(simulation, renderer) {
 
         simulation.recreate({
             gravity: parseFloat(gravitySlider.value),
+            boundary: boundarySelect.value,
             numParticles: numParticlesToCreate, // Use the determined value
             seed: parseInt(seedInput.value, 10) || 42,
             simSpeed: parseFloat(simSpeedSlider.value),
-            mode: selectedMode
+            mode: selectedMode,
+            genesis,
+            forceSolver: forceSolverSelect.value,
+            theta: parseFloat(thetaSlider.value),
+            integrator: integratorSelect.value,
+            adaptiveSteps: adaptiveStepsCheckbox.checked,
+            collisionModel: collisionModelSelect.value,
+            restitution: parseFloat(restitutionSlider.value),
+            fragmentationEnergy: parseFloat(fragmentationSlider.value)
         });
-        // After recreate, simulation is stopped. Set button to "Play" (blue).
+        showNewUniverse(0);
+    });
+
+    // After recreate or load, simulation is stopped. Set button to "Play" (blue).
+    function showNewUniverse(age) {
         playPauseButton.textContent = 'Play';
         playPauseButton.classList.remove('paused');
         playPauseButton.classList.add('primary');
-        simAgeDisplay.textContent = '0';
+        simAgeDisplay.textContent = age;
+        energyDriftDisplay.textContent = '0.00%';
+        universeId++;
+        renderer.clearSelection(); // Its particles are gone
+        diagnostics.clear();
         updateParamDisplay(); // Update display including potentially changed particle count
         simSpeedValue.textContent = `${parseFloat(simSpeedSlider.value).toFixed(1)}x`;
+    }
+
+    function setControlValue(element, value) {
+        if (element.type === 'checkbox') {
+            element.checked = value === true || value === '1';
+        } else if (element.tagName === 'SELECT') {
+            // Ignore modes and models this version doesn't have
+            if ([...element.options].some(option => option.value === String(value))) {
+                element.value = value;
+            }
+        } else if (element.tagName === 'TEXTAREA') {
+            // Genesis components, as JSON text from a link or as the object of a saved universe
+            try {
+                element.value = formatGenesis(typeof value === 'string' ? JSON.parse(value) : value);
+            } catch (error) {
+                if (typeof value === 'string') element.value = value;
+            }
+        } else if (value !== '' && Number.isFinite(Number(value))) {
+            element.value = value;
+        }
+    }
+
+    // Show a loaded universe's settings in the controls
+    function setControlsFromParams(params) {
+        sharedControls.forEach(({ param, element }) => {
+            if (params[param] !== undefined) setControlValue(element, params[param]);
+        });
+        thetaValue.textContent = parseFloat(thetaSlider.value).toFixed(2);
+        thetaSlider.disabled = forceSolverSelect.value === 'exact';
+        updateCollisionControls();
+        updateGenesisControls();
+    }
+
+    // Link that recreates the current genesis settings, through the gallery when shown in it
+    function buildShareLink() {
+        const params = new URLSearchParams();
+        sharedControls.forEach(({ key, element }) => {
+            if (element === genesisEditor) {
+                // Only custom universes need their components, without the editor's whitespace
+                if (genesisModeSelect.value === 'custom') params.set(key, compactJSON(element.value));
+            } else {
+                params.set(key, element.type === 'checkbox' ? (element.checked ? '1' : '0') : element.value);
+            }
+        });
+        return VibeBridge.shareUrl(params);
+    }
+
+    function compactJSON(text) {
+        try {
+            return JSON.stringify(JSON.parse(text));
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // Apply the settings of a share link this page was opened with
+    function applyShareLink() {
+        const search = new URLSearchParams(window.location.search);
+        sharedControls.forEach(({ key, element }) => {
+            if (search.has(key)) setControlValue(element, search.get(key));
+        });
+    }
+
+    function showShareStatus(text) {
+        shareStatus.textContent = text;
+        clearTimeout(shareStatusTimer);
+        shareStatusTimer = setTimeout(() => { shareStatus.textContent = ''; }, 5000);
+    }
+
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function saveUniverse(binary) {
+        try {
+            const state = await simulation.exportState();
+            const fileName = `cosmo-lab-${state.params.mode}-${state.age}`;
+            if (binary) {
+                downloadBlob(new Blob([encodeUniverseBinary(state)], { type: 'application/octet-stream' }), `${fileName}.cosmo`);
+            } else {
+                downloadBlob(new Blob([encodeUniverseJSON(state)], { type: 'application/json' }), `${fileName}.json`);
+            }
+            showShareStatus(`Saved ${state.count} bodies at age ${state.age}`);
+        } catch (error) {
+            showShareStatus(`Could not save the universe: ${error.message}`);
+        }
+    }
+
+    saveJsonButton.addEventListener('click', () => saveUniverse(false));
+    saveBinaryButton.addEventListener('click', () => saveUniverse(true));
+
+    loadButton.addEventListener('click', () => loadInput.click());
+
+    loadInput.addEventListener('change', () => {
+        const file = loadInput.files[0];
+        loadInput.value = ''; // Choosing the same file again should load it again
+        if (!file) return;
+
+        readUniverseFile(file)
+            .then(state => {
+                simulation.importState(state);
+                setControlsFromParams(state.params);
+                showNewUniverse(state.age);
+                showShareStatus(`Loaded ${state.count} bodies at age ${state.age}`);
+            })
+            .catch(error => showShareStatus(`Could not load ${file.name}: ${error.message}`));
+    });
+
+    shareButton.addEventListener('click', () => {
+        const link = buildShareLink();
+        // Standalone, the address bar doubles as a bookmark of the settings
+        if (!VibeBridge.isEmbedded) {
+            history.replaceState(null, '', link);
+        }
+        navigator.clipboard.writeText(link)
+            .then(() => showShareStatus('Link copied'))
+            .catch(() => window.prompt('Copy this link:', link));
+    });
+
+    function updateRecordControls() {
+        const busy = recorder.isRecordingVideo || recordingFrames;
+        recordFormatSelect.disabled = busy;
+        recordFpsSelect.disabled = busy;
+        recordFramesInput.disabled = busy || recordFormatSelect.value !== 'frames';
+        recordScaleSelect.disabled = busy || recordFormatSelect.value !== 'frames';
+        // Frames are stepped one by one; nothing else may run or replace the universe meanwhile
+        playPauseButton.disabled = recordingFrames;
+        createButton.disabled = recordingFrames;
+        loadButton.disabled = recordingFrames;
+        recordButton.textContent = recorder.isRecordingVideo ? 'Stop' : recordingFrames ? 'Cancel' : 'Record';
+    }
+
+    function recordVideo(fileName, fps) {
+        recorder.startVideo(fps)
+            .then(blob => {
+                downloadBlob(blob, `${fileName}.webm`);
+                recordStatus.textContent = 'Video saved';
+            })
+            .catch(error => { recordStatus.textContent = `Recording failed: ${error.message}`; })
+            .finally(updateRecordControls);
+        recordStatus.textContent = 'Recording…';
+        updateRecordControls();
+    }
+
+    function recordFrames(fileName, fps) {
+        const frames = Math.min(3600, Math.max(1, parseInt(recordFramesInput.value, 10) || 1));
+        const wasRunning = simulation.isRunning;
+        recordingFrames = true;
+        updateRecordControls();
+
+        recorder.recordFrames({
+            frames,
+            fps,
+            scale: parseFloat(recordScaleSelect.value),
+            onProgress: (done, total) => { recordStatus.textContent = `Frame ${done} of ${total}`; }
+        })
+            .then(zip => {
+                if (!zip) {
+                    recordStatus.textContent = 'Cancelled';
+                    return;
+                }
+                downloadBlob(zip, `${fileName}-${fps}fps.zip`);
+                recordStatus.textContent = `${frames} frames saved`;
+            })
+            .catch(error => { recordStatus.textContent = `Recording failed: ${error.message}`; })
+            .finally(() => {
+                recordingFrames = false;
+                if (wasRunning) simulation.setRunning(true);
+                updateRecordControls();
+            });
+    }
+
+    followSelect.addEventListener('change', () => {
+        renderer.camera.follow = followSelect.value;
+    });
+
+    resetViewButton.addEventListener('click', () => {
+        renderer.camera.reset();
+        renderer.camera.follow = 'none';
+        followSelect.value = 'none';
+    });
+
+    // Logarithmic, from dust (1) to a small star (10,000)
+    function toolMass() {
+        return Number((10 ** parseFloat(toolMassSlider.value)).toPrecision(2));
+    }
+
+    function updateToolControls() {
+        const tool = toolSelect.value;
+        toolSizeSlider.disabled = !['brush', 'eraser', 'attractor', 'repeller'].includes(tool);
+        toolMassSlider.disabled = !['fling', 'attractor', 'repeller'].includes(tool);
+        toolSizeValue.textContent = toolSizeSlider.value;
+        toolMassValue.textContent = toolMass();
+        toolHint.textContent = TOOL_HINTS[tool];
+    }
+
+    toolSelect.addEventListener('change', () => {
+        tools.setTool(toolSelect.value);
+        updateToolControls();
+    });
+
+    toolSizeSlider.addEventListener('input', () => {
+        tools.size = parseFloat(toolSizeSlider.value);
+        updateToolControls();
+    });
+
+    toolMassSlider.addEventListener('input', () => {
+        tools.mass = toolMass();
+        updateToolControls();
+    });
+
+    // The inspector reads the selected body from the latest snapshot
+    function updateInspector() {
+        const snapshot = simulation.snapshot;
+        const index = renderer.selectedIndex;
+        if (renderer.selectedId === null || !snapshot || index >= snapshot.count) {
+            inspectBody.textContent = 'none';
+            [inspectMass, inspectRadius, inspectSpeed, inspectVelocity, inspectPosition].forEach(display => {
+                display.textContent = '–';
+            });
+            return;
+        }
+        const vx = snapshot.velocities[index * 2];
+        const vy = snapshot.velocities[index * 2 + 1];
+        inspectBody.textContent = `#${renderer.selectedId}`;
+        inspectMass.textContent = formatDiagnostic(snapshot.masses[index]);
+        inspectRadius.textContent = snapshot.radii[index].toFixed(2);
+        inspectSpeed.textContent = Math.hypot(vx, vy).toFixed(3);
+        inspectVelocity.textContent = `(${vx.toFixed(2)}, ${vy.toFixed(2)})`;
+        inspectPosition.textContent = `(${snapshot.positions[index * 2].toFixed(1)}, ${snapshot.positions[index * 2 + 1].toFixed(1)})`;
+    }
+
+    deselectButton.addEventListener('click', () => {
+        renderer.clearSelection();
+        updateInspector();
+    });
+
+    recordFormatSelect.addEventListener('change', updateRecordControls);
+
+    recordButton.addEventListener('click', () => {
+        if (recorder.isRecordingVideo) {
+            recorder.stopVideo();
+        } else if (recordingFrames) {
+            recorder.cancel();
+        } else {
+            const fileName = `cosmo-lab-${simulation.params.mode}-${simulation.age}`;
+            const fps = parseInt(recordFpsSelect.value, 10);
+            if (recordFormatSelect.value === 'video') {
+                recordVideo(fileName, fps);
+            } else {
+                recordFrames(fileName, fps);
+            }
+        }
+    });
+
+    // Browsers without MediaRecorder can still render frames
+    if (!Recorder.supportsVideo()) {
+        recordFormatSelect.querySelector('option[value="video"]').disabled = true;
+        recordFormatSelect.value = 'frames';
+    }
+
+    // The custom mode's particle count comes from its components
+    function updateGenesisControls() {
+        numParticlesInput.disabled = genesisModeSelect.value === 'custom';
+    }
+
+    function createCustomUniverse() {
+        genesisModeSelect.value = 'custom';
+        updateGenesisControls();
+        createButton.click();
+    }
+
+    GENESIS_EXAMPLES.forEach(({ name }, index) => {
+        genesisExampleSelect.add(new Option(name, index));
+    });
+
+    genesisExampleSelect.addEventListener('change', () => {
+        const example = GENESIS_EXAMPLES[genesisExampleSelect.value];
+        genesisExampleSelect.value = ''; // Choosing the same example again should restore it
+        if (!example) return;
+        genesisEditor.value = formatGenesis(example.genesis);
+        createCustomUniverse();
+    });
+
+    genesisApplyButton.addEventListener('click', createCustomUniverse);
+
+    genesisSaveButton.addEventListener('click', () => {
+        downloadBlob(new Blob([genesisEditor.value], { type: 'application/json' }), 'cosmo-lab-genesis.json');
+    });
+
+    genesisLoadButton.addEventListener('click', () => genesisLoadInput.click());
+
+    genesisLoadInput.addEventListener('change', () => {
+        const file = genesisLoadInput.files[0];
+        genesisLoadInput.value = ''; // Choosing the same file again should load it again
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                genesisEditor.value = text;
+                createCustomUniverse();
+            })
+            .catch(error => { genesisStatus.textContent = `Could not load ${file.name}: ${error.message}`; });
     });
 
     // Add listener for Genesis Mode change
     genesisModeSelect.addEventListener('change', () => {
-        numParticlesInput.value = 1750; // Set default particle count for all modes on change
-        numParticlesInput.disabled = false; // Ensure it's enabled
+        if (genesisModeSelect.value !== 'custom') {
+            numParticlesInput.value = 1750; // Set default particle count for all modes on change
+        }
+        updateGenesisControls();
         updateParamDisplay(); // Update the displayed particle count
         createButton.click(); // Automatically create the universe when mode changes
     });
@@ -85,13 +555,74 @@ function setupUI(simulation, renderer) {
         renderer.setColorMode(colorModeSelect.value);
     });
 
+    // Canvas 2D takes over where WebGL2 is missing, or once its context has been lost
+    function updateParticleBackend() {
+        const requested = particleBackendSelect.value;
+        particleBackendSelect.value = renderer.setBackend(requested);
+        if (particleBackendSelect.value !== requested) {
+            particleBackendSelect.querySelector(`option[value="${requested}"]`).disabled = true;
+        }
+    }
+
+    particleBackendSelect.addEventListener('change', updateParticleBackend);
+
+    gridOverlayCheckbox.addEventListener('change', () => {
+        simulation.setGridOverlay(gridOverlayCheckbox.checked);
+    });
+
     setInterval(() => {
         if (simulation.isRunning) {
             simAgeDisplay.textContent = simulation.age;
         }
+        // Merging and shattering change the count, as do clicks on the canvas while paused
+        if (simulation.snapshot) {
+            bodyCountDisplay.textContent = simulation.snapshot.count;
+            substepCountDisplay.textContent = simulation.snapshot.substeps;
+        }
+        updateInspector();
+        // Dragging the view stops following
+        followSelect.value = renderer.camera.follow;
+        zoomLevelDisplay.textContent = renderer.camera.zoom.toFixed(1);
+        particleBackendSelect.value = renderer.sprites.name;
     }, 250);
 
-    // Initial setup reflects new defaults
+    // Conserved quantities for the diagnostics plots, energy drift with the active solver, and
+    // how far Barnes–Hut forces are from the exact ones
+    setInterval(() => {
+        if (!simulation.isRunning) return;
+        const measuredUniverse = universeId;
+        simulation.measure().then(measurement => {
+            if (measuredUniverse !== universeId) return;
+            const { drift, forceError } = measurement;
+            if (drift !== undefined) {
+                energyDriftDisplay.textContent = `${drift >= 0 ? '+' : ''}${(drift * 100).toFixed(2)}%`;
+            }
+            forceErrorDisplay.textContent = `${(forceError * 100).toFixed(2)}%`;
+            diagnostics.record(measurement);
+        }).catch(() => {
+            // Stale or failed; the next measurement is a second away
+        });
+    }, 1000);
+
+    // Initial setup reflects new defaults, or the share link's settings. This runs before
+    // main.js creates the first universe from the controls.
+    if (!genesisEditor.value.trim()) {
+        genesisEditor.value = formatGenesis(GENESIS_EXAMPLES[0].genesis);
+    }
+    applyShareLink();
+    updateGenesisControls();
     updateParamDisplay();
     simSpeedValue.textContent = `${parseFloat(simSpeedSlider.value).toFixed(1)}x`;
+    thetaValue.textContent = parseFloat(thetaSlider.value).toFixed(2);
+    thetaSlider.disabled = forceSolverSelect.value === 'exact';
+    updateCollisionControls();
+    updateRecordControls();
+    tools.size = parseFloat(toolSizeSlider.value); // Restored by the browser on reload
+    tools.mass = toolMass();
+    tools.setTool(toolSelect.value);
+    updateToolControls();
+    renderer.setColorMode(colorModeSelect.value); // Restored by the browser on reload
+    updateParticleBackend();
+    diagnostics.draw();
+    if (gridOverlayCheckbox.checked) simulation.setGridOverlay(true); // Restored by the browser on reload
 }
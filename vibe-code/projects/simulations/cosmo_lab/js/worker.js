@@ -0,0 +1,270 @@
+// Web Worker that owns the simulation, so stepping thousands of particles never blocks the page.
+// The page (js/simulationClient.js) sends commands; the worker steps on its own clock and posts
+// snapshots of the particles for js/renderer.js to draw.
+//
+// Snapshots are flat typed arrays whose buffers are transferred, not copied: positions and
+// velocities as x0, y0, x1, y1, ..., masses, radii and ids one value per particle, and the
+// collision grid's particles per cell (row by row) in occupancy. The arrays can be longer than
+// needed. The page sends a snapshot's buffers back with 'release' once a newer one has arrived,
+// and they are reused, so a running universe allocates nothing per frame.
+//
+// Page -> worker
+//   genesis     { params }                    Create the universe, or recreate it (stopped)
+//   pause       {}
+//   resume      {}
+//   speed       { speed }
+//   params      { gravity?, forceSolver?, theta?, integrator?, adaptiveSteps?, collisionModel?,
+//                 restitution?, fragmentationEnergy?, boundary? }
+//   gravityMod  { mod }
+//   addCluster  { x, y, count, spread }
+//   addParticle { x, y, vx, vy, mass }
+//   erase       { x, y, radius }              Remove the particles within radius of a point
+//   attractor   { attractor }                 { x, y, mass, radius } under the cursor, or null
+//   measure     { id }                        Reply with the diagnostics below
+//   gridOverlay { enabled }                   Include the collision grid's occupancy in snapshots
+//   exportState { id }                        Reply with the full universe state
+//   importState { state }                     Continue from a saved state (paused)
+//   stepFrame   { id, dt }                    Advance a paused universe by dt, for recording: in
+//                                             fixed steps, as it runs, carrying what is left over
+//   release     { snapshot }                  Buffers of a snapshot the page is done with
+//
+// Worker -> page
+//   snapshot    { age, substeps, count, positions, velocities, masses, radii, ids, occupancy, grid }
+//               ids identify particles across snapshots, whose order changes as bodies merge
+//               grid is { cols, rows, left, top, cellWidth, cellHeight } while the overlay is on
+//               and occupancy is filled, else null. Cells cover the box, or the particles'
+//               bounding box when the universe does not wrap (see js/spatialGrid.js).
+//   state       { id, state }                 See js/universeFile.js; state.data is transferred
+//   stepped     { id, age }                   Follows the snapshot of a stepFrame
+//   measurement { id, age, count, kinetic?, potential?, total?, drift?, momentum, angularMomentum,
+//                 forceError }   Energy drift is a fraction, momentum the magnitude of the total.
+//               The energies are left out while measuring them would slow stepping, see
+//               MEASURE_ENERGY_SHARE
+
+// bench/headless.js loads the same scripts into Node for benchmarks
+importScripts('quadTree.js', 'spatialGrid.js', 'universeFile.js', 'genesis.js', 'simulation.js');
+
+const STEP_INTERVAL = 16;      // ms between ticks, about one per display frame
+// Every step advances the universe by the same dt, however late the timer fires, so the same
+// universe evolves the same way at any frame rate and the symplectic integrators stay symplectic.
+// A tick runs as many steps as the elapsed time has accumulated, one per STEP_INTERVAL.
+const STEP_DT = STEP_INTERVAL / 100;
+const MAX_STEPS_PER_TICK = 3;  // Catching up after a stall; the rest of the stall is skipped
+const SNAPSHOT_POOL_SIZE = 3;  // Snapshots in flight between the worker and the page
+const SNAPSHOT_HEADROOM = 256; // Spare particles per snapshot so added clusters fit
+// Most of the worker's time measuring energy may take. Its potential costs about a step, so with
+// tens of thousands of particles it is measured every few seconds rather than on every request.
+const MEASURE_ENERGY_SHARE = 0.05;
+
+let simulation = null;
+let lastStepTime = performance.now();
+let stepBacklog = 0;           // Elapsed dt not yet stepped, less than STEP_DT between ticks
+let frameBacklog = 0;          // The same for stepFrame, from the last pause on
+let snapshotPending = false;   // A snapshot is due but every buffer is with the page
+let gridOverlay = false;
+let snapshotsAllocated = 0;
+const freeSnapshots = [];
+let energyMeasuredAt = -Infinity; // performance.now() of the last energy measurement
+let energyCost = 0;               // ms it took
+
+function acquireSnapshot(count) {
+    while (freeSnapshots.length > 0) {
+        const snapshot = freeSnapshots.pop();
+        if (snapshot.masses.length >= count) return snapshot;
+        snapshotsAllocated--; // Too small for the current universe, let it be collected
+    }
+    if (snapshotsAllocated >= SNAPSHOT_POOL_SIZE) return null;
+
+    snapshotsAllocated++;
+    const capacity = count + SNAPSHOT_HEADROOM;
+    return {
+        positions: new Float32Array(capacity * 2),
+        velocities: new Float32Array(capacity * 2),
+        masses: new Float32Array(capacity),
+        radii: new Float32Array(capacity),
+        ids: new Uint32Array(capacity),
+        occupancy: new Int32Array(0)
+    };
+}
+
+function postSnapshot() {
+    const particles = simulation.particles;
+    const snapshot = acquireSnapshot(particles.length);
+    if (!snapshot) {
+        snapshotPending = true;
+        return;
+    }
+    snapshotPending = false;
+
+    const { positions, velocities, masses, radii, ids } = snapshot;
+    for (let i = 0; i < particles.length; i++) {
+        const p = particles[i];
+        positions[i * 2] = p.x;
+        positions[i * 2 + 1] = p.y;
+        velocities[i * 2] = p.vx;
+        velocities[i * 2 + 1] = p.vy;
+        masses[i] = p.mass;
+        radii[i] = p.radius;
+        ids[i] = p.id;
+    }
+
+    let grid = null;
+    if (gridOverlay) {
+        // Stepping rebuilds the grid; while paused, particles may have been added since
+        if (!simulation.isRunning) simulation.buildGrid();
+
+        const cellCount = simulation.grid.cellCount;
+        if (snapshot.occupancy.length < cellCount.length) {
+            snapshot.occupancy = new Int32Array(cellCount.length);
+        }
+        snapshot.occupancy.set(cellCount);
+        const { cols, rows, left, top, cellWidth, cellHeight } = simulation.grid;
+        grid = { cols, rows, left, top, cellWidth, cellHeight };
+    }
+
+    const { occupancy } = snapshot;
+    self.postMessage({
+        type: 'snapshot',
+        age: simulation.age,
+        substeps: simulation.substeps,
+        count: particles.length,
+        positions,
+        velocities,
+        masses,
+        radii,
+        ids,
+        occupancy,
+        grid
+    }, [positions.buffer, velocities.buffer, masses.buffer, radii.buffer, ids.buffer, occupancy.buffer]);
+}
+
+function tick() {
+    const now = performance.now();
+    const elapsed = (now - lastStepTime) / 100;
+    lastStepTime = now;
+
+    if (simulation && simulation.isRunning) {
+        stepBacklog += elapsed;
+        let steps = 0;
+        // Stop early when stepping takes longer than the tick interval: a universe too large to
+        // keep up runs in slow motion rather than spending every tick catching up
+        while (stepBacklog >= STEP_DT && steps < MAX_STEPS_PER_TICK &&
+               (steps === 0 || performance.now() - now < STEP_INTERVAL)) {
+            simulation.step(STEP_DT);
+            stepBacklog -= STEP_DT;
+            steps++;
+        }
+        if (stepBacklog >= STEP_DT) stepBacklog %= STEP_DT;
+        if (steps > 0) postSnapshot();
+    } else {
+        stepBacklog = 0;
+    }
+
+    setTimeout(tick, Math.max(0, STEP_INTERVAL - (performance.now() - now)));
+}
+
+const handlers = {
+    genesis({ params }) {
+        if (simulation) {
+            simulation.recreate(params);
+        } else {
+            simulation = new Simulation(params);
+        }
+        postSnapshot();
+    },
+    pause() {
+        simulation.isRunning = false;
+        frameBacklog = 0;
+    },
+    resume() {
+        simulation.isRunning = true;
+    },
+    speed({ speed }) {
+        simulation.setSpeed(speed);
+    },
+    params(message) {
+        simulation.updateParams(message);
+    },
+    gravityMod({ mod }) {
+        simulation.setTempGravityMod(mod);
+    },
+    addCluster({ x, y, count, spread }) {
+        simulation.addParticleCluster(x, y, count, spread);
+        postSnapshot(); // Show the new particles even while paused
+    },
+    addParticle({ x, y, vx, vy, mass }) {
+        simulation.addParticle(x, y, vx, vy, mass);
+        postSnapshot();
+    },
+    erase({ x, y, radius }) {
+        simulation.removeParticlesNear(x, y, radius);
+        postSnapshot();
+    },
+    attractor({ attractor }) {
+        simulation.setTempAttractor(attractor);
+    },
+    exportState({ id }) {
+        const state = simulation.exportState();
+        self.postMessage({ type: 'state', id, state }, [state.data.buffer]);
+    },
+    importState({ state }) {
+        simulation.importState(state);
+        postSnapshot();
+    },
+    stepFrame({ id, dt }) {
+        // Stepping ignores paused universes, and the recorder pauses this one so the worker's own
+        // clock cannot interleave steps of other lengths
+        const wasRunning = simulation.isRunning;
+        simulation.isRunning = true;
+        frameBacklog += dt;
+        while (frameBacklog >= STEP_DT) {
+            simulation.step(STEP_DT);
+            frameBacklog -= STEP_DT;
+        }
+        simulation.isRunning = wasRunning;
+        // The page released its older snapshots before asking for this step, so a buffer is free
+        // and the snapshot goes out ahead of the reply
+        postSnapshot();
+        self.postMessage({ type: 'stepped', id, age: simulation.age });
+    },
+    gridOverlay({ enabled }) {
+        gridOverlay = enabled;
+        postSnapshot();
+    },
+    measure({ id }) {
+        let energy = {};
+        const start = performance.now();
+        if (start - energyMeasuredAt >= energyCost / MEASURE_ENERGY_SHARE) {
+            const { kinetic, potential, total, drift } = simulation.measureEnergyDrift();
+            energy = { kinetic, potential, total, drift };
+            energyMeasuredAt = start;
+            energyCost = performance.now() - start;
+        }
+        const momentum = simulation.measureMomentum();
+        self.postMessage({
+            type: 'measurement',
+            id,
+            age: simulation.age,
+            count: simulation.particles.length,
+            ...energy,
+            momentum: momentum.magnitude,
+            angularMomentum: momentum.angular,
+            forceError: simulation.measureForceError()
+        });
+    },
+    release({ snapshot }) {
+        freeSnapshots.push(snapshot);
+        if (snapshotPending) postSnapshot();
+    }
+};
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    const handler = handlers[message.type];
+    if (!handler) return;
+    // Everything but genesis needs a universe to act on
+    if (!simulation && message.type !== 'genesis' && message.type !== 'release') return;
+    handler(message);
+});
+
+tick();
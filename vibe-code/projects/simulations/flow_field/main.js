@@ -0,0 +1,118 @@
+// Flow Field - particles drifting through a slowly changing vector field.
+// A "canvas" project: mounted directly into the gallery page (see js/canvas-host.js).
+
+const PARTICLE_COUNT = 1500;
+const FIELD_SCALE = 0.004; // How quickly the field changes across the screen
+const FIELD_SPEED = 0.15;  // How quickly the field changes over time
+const PARTICLE_SPEED = 60; // Pixels per second
+
+const palettes = {
+    dark: { fade: 'rgba(10, 10, 18, 0.08)', background: '#0a0a12', hueBase: 190 },
+    light: { fade: 'rgba(250, 250, 255, 0.1)', background: '#fafaff', hueBase: 220 }
+};
+
+let canvas = null;
+let ctx = null;
+let particles = [];
+let time = 0;
+let palette = palettes.dark;
+
+// Cheap smooth pseudo-noise: a sum of sines, good enough for a pleasant field
+function fieldAngle(x, y, t) {
+    const nx = x * FIELD_SCALE;
+    const ny = y * FIELD_SCALE;
+    return (
+        Math.sin(nx * 1.7 + t) +
+        Math.sin(ny * 2.3 - t * 0.7) +
+        Math.sin((nx + ny) * 1.3 + t * 0.4)
+    ) * Math.PI * 0.6;
+}
+
+function spawnParticle() {
+    return {
+        x: Math.random() * canvas.width,
+        y: Math.random() * canvas.height,
+        life: 2 + Math.random() * 6
+    };
+}
+
+function clear() {
+    ctx.fillStyle = palette.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+}
+
+function step(dt) {
+    time += dt * FIELD_SPEED;
+
+    // Fade the previous frame instead of clearing it, which leaves trails
+    ctx.fillStyle = palette.fade;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let i = 0; i < particles.length; i++) {
+        const p = particles[i];
+        const angle = fieldAngle(p.x, p.y, time);
+        const previousX = p.x;
+        const previousY = p.y;
+
+        p.x += Math.cos(angle) * PARTICLE_SPEED * dt;
+        p.y += Math.sin(angle) * PARTICLE_SPEED * dt;
+        p.life -= dt;
+
+        if (p.life <= 0 || p.x < 0 || p.x > canvas.width || p.y < 0 || p.y > canvas.height) {
+            particles[i] = spawnParticle();
+            continue;
+        }
+
+        const hue = palette.hueBase + (angle / Math.PI) * 40;
+        ctx.strokeStyle = `hsla(${hue}, 80%, 60%, 0.6)`;
+        ctx.beginPath();
+        ctx.moveTo(previousX, previousY);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+    }
+}
+
+export function mount(container, context) {
+    canvas = document.createElement('canvas');
+    canvas.width = context.width;
+    canvas.height = context.height;
+    canvas.style.display = 'block';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    container.appendChild(canvas);
+
+    ctx = canvas.getContext('2d');
+    ctx.lineWidth = 1;
+    palette = palettes[context.theme] || palettes.dark;
+    particles = Array.from({ length: PARTICLE_COUNT }, spawnParticle);
+    time = 0;
+    clear();
+
+    context.onTheme(theme => {
+        palette = palettes[theme] || palettes.dark;
+        clear();
+    });
+
+    // Click to scatter the particles again
+    canvas.addEventListener('click', () => {
+        particles = Array.from({ length: PARTICLE_COUNT }, spawnParticle);
+        clear();
+    }, { signal: context.signal });
+
+    // Clamp dt so a long frame (tab switch, debugger) doesn't teleport particles
+    context.frame(dt => step(Math.min(dt, 0.05)));
+}
+
+export function resize(width, height) {
+    if (!canvas) return;
+    canvas.width = width;
+    canvas.height = height;
+    ctx.lineWidth = 1;
+    clear();
+}
+
+export function unmount() {
+    canvas = null;
+    ctx = null;
+    particles = [];
+}
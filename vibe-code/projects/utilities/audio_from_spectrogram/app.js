@@ -458,5 +458,6 @@
 
     // Initial setup
     showStep('upload'); // Or determine initial step based on state if needed
+    VibeBridge.ready({ title: 'SpectrAudio' });
 
 })();
\ No newline at end of file
@@ -1326,4 +1326,5 @@ class StickyNotesApp {
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new StickyNotesApp();
+    VibeBridge.ready({ title: 'Craft Note' });
 });
\ No newline at end of file
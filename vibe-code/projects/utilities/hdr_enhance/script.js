@@ -860,4 +860,5 @@ async function downloadImage(event) {
 
 document.addEventListener('DOMContentLoaded', () => {
     window.hdrEnhancer = new HDREnhancer();
+    VibeBridge.ready({ title: 'HDR Enhance' });
 });
\ No newline at end of file